@@ -0,0 +1,91 @@
+/**
+ * Sequências (streaks) e conquistas, calculadas a partir do histórico do perfil.
+ *
+ * Um dia conta para a sequência quando tem um item 'daily_bonus' (todas as missões do dia
+ * completadas). O dia do item é o campo day (dia do app, no fuso configurado); itens antigos
+ * sem day usam a data UTC, a não ser que quem chama passe dayOf. As conquistas desbloqueadas ficam salvas por perfil; aqui só se decide
+ * quais passaram a valer.
+ *
+ * Usa: MigAchievements.computeStreak(history, hoje, dayOf), MigAchievements.evaluate(history, desbloqueadas, ctx),
+ * MigAchievements.definitions, MigAchievements.STREAK_MILESTONES
+ */
+(function() {
+  // bônus pagos ao atingir a sequência
+  const STREAK_MILESTONES = [
+    { days: 7, reward: 20 },
+    { days: 30, reward: 100 }
+  ];
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  function dayOf(item) { return item.day || item.date.split('T')[0]; }
+
+  function shiftDay(date, delta) {
+    const [y, m, d] = date.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, d, 12) + delta * DAY).toISOString().split('T')[0];
+  }
+
+  // { current, start, best }: a sequência atual vale até o fim de hoje, mesmo que hoje ainda não tenha sido completado
+  function computeStreak(history, today, itemDay = dayOf) {
+    const days = new Set(history.filter(h => h.type === 'daily_bonus').map(itemDay));
+    let cursor = days.has(today) ? today : shiftDay(today, -1);
+    let current = 0;
+    let start = null;
+    while (days.has(cursor)) {
+      current++;
+      start = cursor;
+      cursor = shiftDay(cursor, -1);
+    }
+    let best = 0;
+    days.forEach(day => {
+      if (days.has(shiftDay(day, -1))) return;
+      let run = 0;
+      for (let next = day; days.has(next); next = shiftDay(next, 1)) run++;
+      best = Math.max(best, run);
+    });
+    return { current, start, best };
+  }
+
+  // ctx.categoryOf(item) -> categoria de uma missão antiga que não guardou a categoria; ctx.dayOf(item) -> dia do app
+  function summarize(history, ctx = {}) {
+    const categoryOf = item => item.category || (ctx.categoryOf ? ctx.categoryOf(item) : null);
+    let earned = 0;
+    let readingMissions = 0;
+    let purchases = 0;
+    let sent = 0;
+    history.forEach(item => {
+      if (item.type === 'mission') {
+        earned += item.reward;
+        if (categoryOf(item) === 'leitura') readingMissions++;
+      } else if (item.type === 'daily_bonus' || item.type === 'streak_bonus') {
+        earned += item.reward;
+      } else if (item.type === 'allowance' || item.type === 'goal_interest') {
+        earned += item.amount;
+      } else if (item.type === 'transaction') {
+        if (item.direction === 'out') sent += item.amount;
+        else earned += item.amount;
+      } else if (item.type === 'purchase') {
+        purchases++;
+      }
+    });
+    return { earned, readingMissions, purchases, sent, bestStreak: computeStreak(history, ctx.today, ctx.dayOf).best };
+  }
+
+  const definitions = [
+    { id: 'first_100', icon: '💯', title: "Primeiras 100 estrelas", description: "Ganhou 100 estrelas no total", check: s => s.earned >= 100 },
+    { id: 'stars_1000', icon: '🌟', title: "Mil estrelas", description: "Ganhou 1000 estrelas no total", check: s => s.earned >= 1000 },
+    { id: 'reader_10', icon: '📚', title: "Leitor", description: "Completou 10 missões de leitura", check: s => s.readingMissions >= 10 },
+    { id: 'first_purchase', icon: '🛍️', title: "Primeira compra", description: "Comprou algo na Loja Mig Apps", check: s => s.purchases >= 1 },
+    { id: 'generous', icon: '🎁', title: "Generoso", description: "Enviou estrelas para outra criança", check: s => s.sent > 0 },
+    { id: 'streak_7', icon: '🔥', title: "Uma semana seguida", description: "Completou as missões 7 dias seguidos", check: s => s.bestStreak >= 7 },
+    { id: 'streak_30', icon: '🏆', title: "Um mês seguido", description: "Completou as missões 30 dias seguidos", check: s => s.bestStreak >= 30 }
+  ];
+
+  // devolve as definições que acabaram de ser desbloqueadas
+  function evaluate(history, unlocked, ctx) {
+    const stats = summarize(history, ctx);
+    return definitions.filter(def => !unlocked[def.id] && def.check(stats));
+  }
+
+  window.MigAchievements = { computeStreak, summarize, evaluate, definitions, STREAK_MILESTONES };
+})();
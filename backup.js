@@ -0,0 +1,103 @@
+/**
+ * Backup da carteira inteira em um arquivo JSON.
+ *
+ * O arquivo guarda todas as chaves migstar_* do storage como texto, do jeito que estão
+ * salvas, mais a versão do formato e uma assinatura HMAC-SHA256 com a chave da família
+ * (sobre as chaves ordenadas): arquivo truncado, editado à mão ou montado sem a senha do
+ * DanStar não passa. Como só usa getItem/setItem/keys, funciona com qualquer backend do
+ * storage wrapper.
+ *
+ * Usa: MigBackup.create(storage, chave) -> Promise<backup>, MigBackup.parse(texto, chave) -> Promise<backup>,
+ * MigBackup.summarize(data), MigBackup.restore(storage, backup, { keep })
+ */
+(function() {
+  const FORMAT = 'migstar-backup';
+  const VERSION = 1;
+
+  function appKeys(storage) {
+    return storage.keys().filter(k => k.startsWith('migstar_')).sort();
+  }
+
+  function canonical(data) {
+    return new TextEncoder().encode(JSON.stringify(data, Object.keys(data).sort()));
+  }
+
+  async function signature(data, key) {
+    return MigCrypto.toHex(await MigCrypto.hmac(key, canonical(data)));
+  }
+
+  async function create(storage, key) {
+    if (!key) throw new Error("Sem a chave da família não dá para assinar o backup");
+    const data = {};
+    appKeys(storage).forEach(key => { data[key] = storage.getItem(key); });
+    return {
+      format: FORMAT,
+      version: VERSION,
+      createdAt: new Date().toISOString(),
+      backend: storage.backend,
+      data,
+      sig: await signature(data, key)
+    };
+  }
+
+  // confere o arquivo; erros com mensagem pronta para mostrar ao responsável
+  async function parse(text, key) {
+    let backup;
+    try {
+      backup = JSON.parse(text);
+    } catch (e) {
+      throw new Error("O arquivo não é um backup do MigStar");
+    }
+    if (!backup || backup.format !== FORMAT || typeof backup.data !== 'object' || backup.data === null) {
+      throw new Error("O arquivo não é um backup do MigStar");
+    }
+    if (backup.version > VERSION) throw new Error("Backup feito por uma versão mais nova do MigStar");
+    const keys = Object.keys(backup.data);
+    if (keys.some(k => !k.startsWith('migstar_') || typeof backup.data[k] !== 'string')) {
+      throw new Error("Backup com dados inválidos");
+    }
+    if (!key) throw new Error("Sem a chave da família não dá para conferir o backup");
+    if (typeof backup.sig !== 'string' || await signature(backup.data, key) !== backup.sig) {
+      throw new Error("Backup alterado ou feito com outra senha do DanStar (assinatura não confere)");
+    }
+    return backup;
+  }
+
+  // { profiles: [{ id, name, avatar, stars, history }], keys }: o suficiente para comparar antes de restaurar
+  // (saldo somado do ledger, history = quantidade de movimentações)
+  function summarize(data) {
+    const read = key => {
+      try { return JSON.parse(data[key]); } catch (e) { return null; }
+    };
+    const profiles = read('migstar_profiles');
+    const list = profiles && Array.isArray(profiles.list) ? profiles.list : [];
+    return {
+      keys: Object.keys(data).length,
+      profiles: list.map(p => {
+        const user = read(`migstar_p_${p.id}_user`);
+        const ledger = read(`migstar_p_${p.id}_ledger`);
+        return {
+          id: p.id,
+          name: p.name,
+          avatar: p.avatar,
+          stars: Array.isArray(ledger) ? ledger.reduce((sum, e) => sum + e.delta, 0) : (user ? user.stars : 0),
+          history: Array.isArray(ledger) ? ledger.length : 0
+        };
+      })
+    };
+  }
+
+  function currentData(storage) {
+    const data = {};
+    appKeys(storage).forEach(key => { data[key] = storage.getItem(key); });
+    return data;
+  }
+
+  // troca tudo: chaves que não estão no backup são apagadas; as de keep ficam como estão
+  function restore(storage, backup, { keep = [] } = {}) {
+    appKeys(storage).filter(k => !(k in backup.data) && !keep.includes(k)).forEach(k => storage.removeItem(k));
+    Object.keys(backup.data).filter(k => !keep.includes(k)).forEach(k => storage.setItem(k, backup.data[k]));
+  }
+
+  window.MigBackup = { create, parse, summarize, currentData, restore, FORMAT, VERSION };
+})();
@@ -0,0 +1,67 @@
+/**
+ * Gráficos em SVG para a aba Estatísticas, desenhados aqui mesmo (sem biblioteca nem CDN,
+ * então funcionam offline). Cada função devolve o texto do <svg>, que estica na largura do
+ * elemento onde for colocado.
+ *
+ * Usa: MigCharts.bars([{ label, value, title }], { color, max, format, height })
+ *        barras verticais; format(valor) escreve o número em cima de cada barra
+ *      MigCharts.split([{ label, value, color }])
+ *        uma barra horizontal dividida nas partes, com a legenda embaixo
+ */
+(function() {
+  const WIDTH = 320;
+
+  function escape(text) {
+    return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+  }
+
+  function bars(points, options = {}) {
+    const height = options.height || 140;
+    const color = options.color || '#2563eb';
+    const format = options.format || (value => String(value));
+    const max = options.max || Math.max(1, ...points.map(p => p.value || 0));
+    const top = 14;
+    const bottom = 16;
+    const slot = WIDTH / Math.max(1, points.length);
+    const barWidth = Math.max(2, slot * 0.7);
+    // com muitas barras, só alguns rótulos cabem embaixo
+    const labelEvery = Math.ceil(points.length / 8);
+    const body = points.map((point, i) => {
+      const value = point.value || 0;
+      const barHeight = (height - top - bottom) * Math.min(1, value / max);
+      const x = i * slot + (slot - barWidth) / 2;
+      const y = height - bottom - barHeight;
+      const center = i * slot + slot / 2;
+      return `<g><title>${escape(point.title || `${point.label}: ${format(value)}`)}</title>
+        <rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" rx="2" fill="${point.value == null ? '#e5e7eb' : color}"></rect>
+        ${value && points.length <= 14 ? `<text x="${center.toFixed(1)}" y="${(y - 3).toFixed(1)}" font-size="9" text-anchor="middle" fill="#1e40af">${escape(format(value))}</text>` : ''}
+        ${i % labelEvery === 0 ? `<text x="${center.toFixed(1)}" y="${height - 4}" font-size="9" text-anchor="middle" fill="#3b82f6">${escape(point.label)}</text>` : ''}
+      </g>`;
+    }).join('');
+    return `<svg viewBox="0 0 ${WIDTH} ${height}" width="100%" role="img">
+      <line x1="0" y1="${height - bottom}" x2="${WIDTH}" y2="${height - bottom}" stroke="#bfdbfe"></line>${body}</svg>`;
+  }
+
+  function split(parts) {
+    const total = parts.reduce((sum, part) => sum + part.value, 0);
+    if (!total) return '';
+    let x = 0;
+    const segments = parts.filter(part => part.value > 0).map(part => {
+      const width = WIDTH * part.value / total;
+      const rect = `<rect x="${x.toFixed(1)}" y="0" width="${width.toFixed(1)}" height="18" fill="${part.color}"><title>${escape(part.label)}: ${part.value}</title></rect>`;
+      x += width;
+      return rect;
+    }).join('');
+    const legend = parts.filter(part => part.value > 0).map((part, i) => {
+      const lx = (i % 2) * (WIDTH / 2);
+      const ly = 34 + Math.floor(i / 2) * 16;
+      const percent = Math.round(part.value / total * 100);
+      return `<rect x="${lx}" y="${ly - 9}" width="10" height="10" rx="2" fill="${part.color}"></rect>
+        <text x="${lx + 14}" y="${ly}" font-size="11" fill="#1e40af">${escape(part.label)}: ${part.value} (${percent}%)</text>`;
+    }).join('');
+    const rows = Math.ceil(parts.filter(part => part.value > 0).length / 2);
+    return `<svg viewBox="0 0 ${WIDTH} ${30 + rows * 16}" width="100%" role="img">${segments}${legend}</svg>`;
+  }
+
+  window.MigCharts = { bars, split };
+})();
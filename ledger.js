@@ -0,0 +1,227 @@
+/**
+ * Livro-razão (ledger) de estrelas: lista só de acréscimo, uma por perfil.
+ *
+ * Cada entrada é um item do histórico ({ type, date, ... }) mais:
+ *   id    -> identificador único da entrada
+ *   seq   -> posição na lista (0, 1, 2...)
+ *   delta -> quanto o saldo mudou (com sinal; 0 para eventos sem estrelas)
+ *   prev  -> hash da entrada anterior ('' na primeira)
+ *   hash  -> SHA-256 da entrada sem o próprio hash
+ *   sig   -> HMAC-SHA256 do conteúdo (sem seq/prev/hash) com a chave da família (a mesma do QR)
+ * O saldo é a soma dos deltas e o histórico é o ledger do mais novo para o mais antigo;
+ * mudar, apagar ou reordenar uma entrada quebra a corrente de hashes, e só quem tem a chave
+ * consegue escrever uma entrada que passe na assinatura.
+ *
+ * SHA-256 e HMAC são síncronos (implementados aqui) para o ledger poder ser gravado na mesma
+ * chamada que altera o saldo, sem Promise no meio.
+ *
+ * Usa: MigLedger.append(ledger, campos, chave), MigLedger.balance(ledger), MigLedger.toHistory(ledger),
+ * MigLedger.verify(ledger, chave), MigLedger.fromHistory(history, saldo, chave),
+ * MigLedger.merge(ledger, entradas, chave), MigLedger.rechain(entradas, chave)
+ *
+ * Na sincronização entre aparelhos as entradas viajam sem seq/prev/hash (MigLedger.strip).
+ * merge() só aceita as que têm a assinatura da família e só acrescenta as novas no fim da
+ * corrente: o que já estava no ledger nunca é refeito, então uma alteração continua aparecendo
+ * no verify(). Cada aparelho tem a sua ordem (a de chegada); o saldo é o mesmo em todos.
+ */
+(function() {
+  const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ];
+
+  const encoder = new TextEncoder();
+
+  function digest(bytes) {
+    const length = ((bytes.length + 9 + 63) >> 6) << 6;
+    const data = new Uint8Array(length);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    const view = new DataView(data.buffer);
+    view.setUint32(length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(length - 4, bytes.length * 8);
+    const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let offset = 0; offset < length; offset += 64) {
+      for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+      }
+      let [a, b, c, d, e, f, g, hh] = h;
+      for (let i = 0; i < 64; i++) {
+        const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+        const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        hh = g; g = f; f = e; e = (d + t1) | 0;
+        d = c; c = b; b = a; a = (t1 + t2) | 0;
+      }
+      [a, b, c, d, e, f, g, hh].forEach((v, i) => { h[i] = (h[i] + v) | 0; });
+    }
+    const out = new DataView(new ArrayBuffer(32));
+    h.forEach((v, i) => out.setUint32(i * 4, v));
+    return new Uint8Array(out.buffer);
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function sha256(text) {
+    return toHex(digest(encoder.encode(text)));
+  }
+
+  // HMAC-SHA256 (RFC 2104) com a chave em hex, como a do MigCrypto.deriveKey
+  function hmac(keyHex, text) {
+    let key = new Uint8Array(keyHex.match(/../g).map(b => parseInt(b, 16)));
+    if (key.length > 64) key = digest(key);
+    const message = encoder.encode(text);
+    const inner = new Uint8Array(64 + message.length);
+    const outer = new Uint8Array(64 + 32);
+    for (let i = 0; i < 64; i++) {
+      inner[i] = (key[i] || 0) ^ 0x36;
+      outer[i] = (key[i] || 0) ^ 0x5c;
+    }
+    inner.set(message, 64);
+    outer.set(digest(inner), 64);
+    return toHex(digest(outer));
+  }
+
+  // forma canônica: JSON com as chaves ordenadas e sem o hash
+  function hashEntry(entry) {
+    const keys = Object.keys(entry).filter(k => k !== 'hash').sort();
+    return sha256(JSON.stringify(entry, keys));
+  }
+
+  // a assinatura cobre só o conteúdo, para valer igual no ledger de qualquer aparelho
+  function signature(entry, key) {
+    const keys = Object.keys(entry).filter(k => !['seq', 'prev', 'hash', 'sig'].includes(k)).sort();
+    return hmac(key, JSON.stringify(entry, keys));
+  }
+
+  function newId() {
+    return 'e' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+  }
+
+  // fields: { type, delta, date, ...dados do histórico }; id é opcional (transferências usam um id fixo).
+  // Com key a entrada é assinada; sem key fica a assinatura que vier em fields (entrada recebida).
+  function append(ledger, fields, key) {
+    const last = ledger[ledger.length - 1];
+    const entry = Object.assign({ id: newId() }, fields, {
+      seq: ledger.length,
+      prev: last ? last.hash : ''
+    });
+    if (key) entry.sig = signature(entry, key);
+    entry.hash = hashEntry(entry);
+    ledger.push(entry);
+    return entry;
+  }
+
+  function balance(ledger) {
+    return ledger.reduce((sum, entry) => sum + entry.delta, 0);
+  }
+
+  function toHistory(ledger) {
+    return ledger.slice().reverse();
+  }
+
+  // { ok, balance, problems: [{ seq, id, problem }] }; sem key as assinaturas não são conferidas
+  function verify(ledger, key) {
+    const problems = [];
+    const ids = new Set();
+    ledger.forEach((entry, i) => {
+      const report = problem => problems.push({ seq: i, id: entry.id, problem });
+      if (entry.seq !== i) report(`posição ${entry.seq} fora de ordem`);
+      if (!Number.isInteger(entry.delta)) report("valor inválido");
+      if (ids.has(entry.id)) report("entrada duplicada");
+      ids.add(entry.id);
+      if (entry.prev !== (i === 0 ? '' : ledger[i - 1].hash)) report("corrente de hashes quebrada");
+      if (entry.hash !== hashEntry(entry)) report("entrada alterada");
+      if (key && !entry.sig) report("sem assinatura");
+      else if (key && entry.sig !== signature(entry, key)) report("assinatura não confere");
+    });
+    return { ok: problems.length === 0, balance: balance(ledger), problems };
+  }
+
+  // quanto um item do histórico antigo mudou o saldo
+  function deltaOf(item) {
+    switch (item.type) {
+      case 'mission':
+      case 'daily_bonus':
+      case 'streak_bonus': return item.reward || 0;
+      case 'transaction': return item.direction === 'out' ? -item.amount : item.amount;
+      case 'purchase': return -item.price;
+      case 'adjustment': return item.amount;
+      default: return 0;
+    }
+  }
+
+  // monta o ledger a partir do histórico antigo (mais novo primeiro); o que o histórico não
+  // explica do saldo atual vira uma entrada 'opening' (saldo inicial) no começo
+  function fromHistory(history, currentBalance, key) {
+    const items = history.filter(item => item && item.date).slice().reverse();
+    const opening = currentBalance - items.reduce((sum, item) => sum + (deltaOf(item) || 0), 0);
+    const ledger = [];
+    // id fixo: o saldo inicial do mesmo perfil em dois aparelhos é a mesma entrada, não duas
+    if (opening !== 0) append(ledger, { id: 'opening', type: 'opening', delta: opening, date: items.length ? items[0].date : new Date().toISOString() }, key);
+    items.forEach(item => append(ledger, Object.assign({}, item, { delta: deltaOf(item) || 0 }), key));
+    return ledger;
+  }
+
+  // conteúdo da entrada, sem os campos da corrente
+  function strip(entry) {
+    const { seq, prev, hash, ...content } = entry;
+    return content;
+  }
+
+  function sameContent(a, b) {
+    return JSON.stringify(a, Object.keys(a).sort()) === JSON.stringify(b, Object.keys(b).sort());
+  }
+
+  // saldo inicial sempre primeiro, depois por data e id (ordem de um lote recebido)
+  function compareEntries(a, b) {
+    if ((a.type === 'opening') !== (b.type === 'opening')) return a.type === 'opening' ? -1 : 1;
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+  }
+
+  // refaz seq/prev/hash das entradas na ordem dada; com key, assina tudo de novo
+  function rechain(entries, key) {
+    const ledger = [];
+    entries.forEach(entry => append(ledger, strip(entry), key));
+    return ledger;
+  }
+
+  // acrescenta as entradas recebidas que ainda não estão no ledger. Sem assinatura válida com
+  // key a entrada vai para rejected; com o mesmo id e conteúdo diferente fica a local e a
+  // recebida vai para conflicts. Devolve { ledger, changed, added, rejected, conflicts }.
+  function merge(ledger, incoming, key) {
+    const result = { ledger: ledger.slice(), changed: false, added: [], rejected: [], conflicts: [] };
+    const byId = new Map(ledger.map(entry => [entry.id, entry]));
+    incoming.map(strip).sort(compareEntries).forEach(content => {
+      if (!key || typeof content.sig !== 'string' || content.sig !== signature(content, key)) {
+        result.rejected.push(content);
+        return;
+      }
+      const current = byId.get(content.id);
+      if (current) {
+        if (!sameContent(strip(current), content)) result.conflicts.push(content);
+        return;
+      }
+      byId.set(content.id, append(result.ledger, content));
+      result.added.push(content);
+    });
+    result.changed = result.added.length > 0;
+    if (!result.changed) result.ledger = ledger;
+    return result;
+  }
+
+  window.MigLedger = { append, balance, toHistory, verify, fromHistory, merge, rechain, strip, sha256, hmac };
+})();
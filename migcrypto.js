@@ -0,0 +1,104 @@
+/**
+ * Assinatura dos QR Codes de transferência (compartilhado entre MigStar e DanStar).
+ *
+ * A senha secreta do responsável vira uma chave HMAC-SHA256 via PBKDF2, e cada
+ * payload é assinado sobre sua forma canônica (chaves ordenadas, sem o campo "sig").
+ *
+ * Usa: MigCrypto.deriveKey(secret) -> Promise<hex>, MigCrypto.sign(payload, keyHex),
+ * MigCrypto.verify(payload, keyHex), MigCrypto.hmac(keyHex, bytes), MigCrypto.randomNonce()
+ *
+ * O PIN do responsável também passa por aqui: MigCrypto.hashPin(pin) gera { salt, hash, iterations }
+ * e MigCrypto.verifyPin(pin, registro) confere sem nunca guardar o PIN em texto.
+ */
+(function() {
+  const QR_SALT = 'migstar-qr-v1';
+  const QR_ITERATIONS = 100000;
+  const PIN_ITERATIONS = 150000;
+  const encoder = new TextEncoder();
+
+  function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return bytes;
+  }
+
+  function toBase64Url(bytes) {
+    let bin = '';
+    new Uint8Array(bytes).forEach(b => { bin += String.fromCharCode(b); });
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function fromBase64Url(str) {
+    const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+
+  // forma canônica: JSON com as chaves ordenadas e sem a assinatura
+  function canonical(payload) {
+    const keys = Object.keys(payload).filter(k => k !== 'sig').sort();
+    return JSON.stringify(payload, keys);
+  }
+
+  function deriveKey(secret) {
+    return pbkdf2Hex(secret, encoder.encode(QR_SALT), QR_ITERATIONS);
+  }
+
+  function importHmacKey(keyHex) {
+    return crypto.subtle.importKey('raw', fromHex(keyHex), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+  }
+
+  async function sign(payload, keyHex) {
+    const key = await importHmacKey(keyHex);
+    const sig = await crypto.subtle.sign('HMAC', key, encoder.encode(canonical(payload)));
+    return Object.assign({}, payload, { sig: toBase64Url(sig) });
+  }
+
+  // HMAC-SHA256 de bytes soltos (o código curto do QR assina bytes, não JSON)
+  async function hmac(keyHex, bytes) {
+    const key = await importHmacKey(keyHex);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, bytes));
+  }
+
+  async function verify(payload, keyHex) {
+    if (!payload || typeof payload.sig !== 'string') return false;
+    try {
+      const key = await importHmacKey(keyHex);
+      // crypto.subtle.verify compara em tempo constante
+      return await crypto.subtle.verify('HMAC', key, fromBase64Url(payload.sig), encoder.encode(canonical(payload)));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async function pbkdf2Hex(secret, saltBytes, iterations) {
+    const base = await crypto.subtle.importKey('raw', encoder.encode(secret), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations }, base, 256);
+    return toHex(bits);
+  }
+
+  async function hashPin(pin, iterations = PIN_ITERATIONS) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return { salt: toHex(salt), hash: await pbkdf2Hex(pin, salt, iterations), iterations };
+  }
+
+  async function verifyPin(pin, record) {
+    if (!record || !record.salt || !record.hash) return false;
+    const hash = await pbkdf2Hex(pin, fromHex(record.salt), record.iterations || PIN_ITERATIONS);
+    // comparação em tempo constante
+    let diff = hash.length ^ record.hash.length;
+    for (let i = 0; i < hash.length && i < record.hash.length; i++) diff |= hash.charCodeAt(i) ^ record.hash.charCodeAt(i);
+    return diff === 0;
+  }
+
+  function randomNonce(size = 12) {
+    return toBase64Url(crypto.getRandomValues(new Uint8Array(size)));
+  }
+
+  window.MigCrypto = { deriveKey, sign, verify, hmac, hashPin, verifyPin, randomNonce, toHex, fromHex, toBase64Url, fromBase64Url };
+})();
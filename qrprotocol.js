@@ -0,0 +1,274 @@
+/**
+ * Protocolo dos QR Codes do MigStar (versão 4), usado pelo MigStar e pelo DanStar.
+ *
+ * O texto do QR é "MS4:" + base64url do JSON compacto:
+ *   { v: 4, t: tipo, n: nonce, i: emitido (s), e: expira (s), ...campos do tipo, sig }
+ * assinado com MigCrypto (HMAC da senha do DanStar) sobre todos os campos menos sig.
+ *
+ * Tipos (campos compactos entre parênteses):
+ *   transfer       'tr' -> amount (a), from (f), requestId (r), profileId (p)   estrelas para quem ler
+ *   paymentRequest 'pr' -> requestId (r), amount (a), profileId (p), name (w), memo (m)   criança pedindo estrelas
+ *   mission        'ms' -> title (ti), reward (a), icon (ic), category (c), profileId (p)
+ *   pairing        'pa' -> url (u), token (k)                       entrar na sincronização da família
+ *
+ * Um pedido é pago com uma transferência que repete o requestId e o profileId do pedido:
+ * o MigStar só aceita esse pagamento se o pedido estiver pendente no ledger da criança.
+ *
+ * Transferências também têm um código curto para digitar quando não dá para ler o QR
+ * (MigQR.shortCode): "MS-" + base32 Crockford de
+ *   [0xA0 | tem pedido] [amount: 2 bytes] [e: 4 bytes] [nonce: 6 bytes] [requestId: 6 bytes]? [HMAC truncado: 5 bytes]
+ * com o mesmo nonce do QR, então QR e código juntos só valem uma vez. decode() aceita os dois.
+ *
+ * Usa: MigQR.encode(tipo, campos, keyHex, { validity }) -> Promise<texto>,
+ * MigQR.decode(texto, { key, expect, isNonceUsed }) -> Promise<{ ok, type, data, nonce, exp } | { ok: false, code, message }>,
+ * MigQR.shortCode(texto, keyHex) -> Promise<código | null>
+ */
+(function() {
+  const PREFIX = 'MS4:';
+  const VERSION = 4;
+  const MAX_VALIDITY = 24 * 60 * 60;
+  const CLOCK_SKEW = 5 * 60;
+  const NONCE_BYTES = 6;
+  const SHORT_TAG = 0xA0;
+  const SHORT_MAC_BYTES = 5;
+  const BASE32 = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+  const isPositiveInt = v => Number.isInteger(v) && v > 0;
+  const isText = v => typeof v === 'string' && v.length > 0 && v.length <= 120;
+  const isOptionalText = v => v === undefined || (typeof v === 'string' && v.length <= 120);
+  const isUrl = v => typeof v === 'string' && /^https?:\/\/[^\s]+$/.test(v);
+
+  // campo: [chave compacta, validação, nome para a mensagem de erro, obrigatório]
+  const TYPES = {
+    transfer: { code: 'tr', label: "transferência", fields: {
+      amount: ['a', isPositiveInt, "quantidade", true],
+      from: ['f', isOptionalText, "remetente", false],
+      requestId: ['r', isOptionalText, "pedido", false],
+      profileId: ['p', isOptionalText, "criança", false]
+    } },
+    paymentRequest: { code: 'pr', label: "pedido de pagamento", fields: {
+      requestId: ['r', isText, "pedido", true],
+      amount: ['a', isPositiveInt, "quantidade", true],
+      profileId: ['p', isText, "criança", true],
+      name: ['w', isText, "nome", true],
+      memo: ['m', isOptionalText, "descrição", false]
+    } },
+    mission: { code: 'ms', label: "missão", fields: {
+      title: ['ti', isText, "título", true],
+      reward: ['a', isPositiveInt, "recompensa", true],
+      icon: ['ic', isOptionalText, "ícone", false],
+      category: ['c', isOptionalText, "categoria", false],
+      profileId: ['p', isOptionalText, "criança", false]
+    } },
+    pairing: { code: 'pa', label: "pareamento", fields: {
+      url: ['u', isUrl, "endereço do servidor", true],
+      token: ['k', isOptionalText, "senha da família", false]
+    } }
+  };
+
+  const MESSAGES = {
+    not_migstar: "Esse QR não é do MigStar.",
+    legacy: "QR de uma versão antiga. Gere um novo no DanStar.",
+    newer: "QR de uma versão mais nova. Atualize o app.",
+    malformed: "QR danificado ou incompleto. Tente ler de novo.",
+    unknown_type: "Tipo de QR desconhecido.",
+    signature: "Assinatura inválida: a senha do DanStar não confere.",
+    too_long: "QR com validade longa demais.",
+    not_yet: "QR emitido no futuro: confira o relógio dos aparelhos.",
+    expired: "QR expirado.",
+    used: "Esse QR já foi usado!",
+    short_typo: "Código inválido: confira se digitou certo (ou a senha do DanStar não confere).",
+    short_length: "Código incompleto: confira se digitou todas as letras."
+  };
+
+  function fail(code, message) {
+    return { ok: false, code, message: message || MESSAGES[code] };
+  }
+
+  function typeByCode(code) {
+    return Object.keys(TYPES).find(name => TYPES[name].code === code);
+  }
+
+  function toBase64Url(text) {
+    return MigCrypto.toBase64Url(new TextEncoder().encode(text));
+  }
+
+  function fromBase64Url(text) {
+    return new TextDecoder().decode(MigCrypto.fromBase64Url(text));
+  }
+
+  async function encode(type, fields, keyHex, options = {}) {
+    const spec = TYPES[type];
+    if (!spec) throw new Error(`tipo de QR desconhecido: ${type}`);
+    const now = Math.floor(Date.now() / 1000);
+    const validity = Math.min(options.validity || MAX_VALIDITY, MAX_VALIDITY);
+    const payload = { v: VERSION, t: spec.code, n: MigCrypto.randomNonce(NONCE_BYTES), i: now, e: now + validity };
+    Object.keys(spec.fields).forEach(name => {
+      const [key, valid, label, required] = spec.fields[name];
+      if (fields[name] === undefined || fields[name] === '') {
+        if (required) throw new Error(`campo obrigatório: ${label}`);
+        return;
+      }
+      if (!valid(fields[name])) throw new Error(`campo inválido: ${label}`);
+      payload[key] = fields[name];
+    });
+    return PREFIX + toBase64Url(JSON.stringify(await MigCrypto.sign(payload, keyHex)));
+  }
+
+  function toBase32(bytes) {
+    let out = '', bits = 0, value = 0;
+    bytes.forEach(byte => {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        out += BASE32[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    });
+    if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+    return out;
+  }
+
+  // Crockford: I e L valem 1, O vale 0; hífens e espaços são ignorados
+  function fromBase32(text) {
+    const bytes = [];
+    let bits = 0, value = 0;
+    for (const ch of text.toUpperCase().replace(/[IL]/g, '1').replace(/O/g, '0')) {
+      const digit = BASE32.indexOf(ch);
+      if (digit < 0) return null;
+      value = ((value << 5) | digit) & 0xffff;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(bytes);
+  }
+
+  function normalizeShort(text) {
+    return text.replace(/[\s-]/g, '').toUpperCase();
+  }
+
+  function isShortCode(text) {
+    return /^MS[0-9A-Z]{8,}$/.test(normalizeShort(text)) && !text.includes(':');
+  }
+
+  async function shortMac(keyHex, body) {
+    return (await MigCrypto.hmac(keyHex, body)).slice(0, SHORT_MAC_BYTES);
+  }
+
+  // só transferências (com ou sem pedido) cabem no código curto; os outros tipos devolvem null
+  async function shortCode(text, keyHex) {
+    const payload = JSON.parse(fromBase64Url(text.slice(PREFIX.length)));
+    if (payload.t !== 'tr' || payload.a > 0xffff) return null;
+    const nonce = MigCrypto.fromBase64Url(payload.n);
+    const requestId = payload.r ? MigCrypto.fromBase64Url(payload.r) : null;
+    if (nonce.length !== NONCE_BYTES || (requestId && requestId.length !== NONCE_BYTES)) return null;
+    const body = new Uint8Array(1 + 2 + 4 + NONCE_BYTES + (requestId ? NONCE_BYTES : 0));
+    const view = new DataView(body.buffer);
+    view.setUint8(0, SHORT_TAG | (requestId ? 1 : 0));
+    view.setUint16(1, payload.a);
+    view.setUint32(3, payload.e);
+    body.set(nonce, 7);
+    if (requestId) body.set(requestId, 7 + NONCE_BYTES);
+    const code = toBase32(new Uint8Array([...body, ...(await shortMac(keyHex, body))]));
+    return 'MS-' + code.match(/.{1,4}/g).join('-');
+  }
+
+  async function decodeShort(text, options) {
+    const bytes = fromBase32(normalizeShort(text).slice(2));
+    if (!bytes || bytes.length < 1 || (bytes[0] & 0xfe) !== SHORT_TAG) return fail('short_typo');
+    const hasRequest = bytes[0] & 1;
+    const size = 1 + 2 + 4 + NONCE_BYTES + (hasRequest ? NONCE_BYTES : 0);
+    if (bytes.length < size + SHORT_MAC_BYTES) return fail('short_length');
+    const body = bytes.slice(0, size);
+    const mac = bytes.slice(size, size + SHORT_MAC_BYTES);
+    if (!options.key) return fail('signature');
+    const expected = await shortMac(options.key, body);
+    if (expected.some((b, i) => b !== mac[i])) return fail('short_typo');
+    if (options.expect && !options.expect.includes('transfer')) {
+      const accepted = options.expect.map(name => TYPES[name].label).join(' ou ');
+      return fail('wrong_type', `Esse código é de transferência, mas aqui só vale ${accepted}.`);
+    }
+    const view = new DataView(body.buffer);
+    const data = { amount: view.getUint16(1) };
+    if (hasRequest) data.requestId = MigCrypto.toBase64Url(body.slice(7 + NONCE_BYTES));
+    const exp = view.getUint32(3);
+    const nonce = MigCrypto.toBase64Url(body.slice(7, 7 + NONCE_BYTES));
+    const now = Math.floor((options.now || Date.now()) / 1000);
+    if (!isPositiveInt(data.amount)) return fail('invalid_field', "QR com quantidade inválido(a).");
+    // sem data de emissão no código: a validade que sobra não pode passar do máximo
+    if (exp - now > MAX_VALIDITY + CLOCK_SKEW) return fail('too_long');
+    if (now > exp) return fail('expired', `Código expirado desde ${new Date(exp * 1000).toLocaleString()}.`);
+    if (options.isNonceUsed && options.isNonceUsed(nonce)) return fail('used');
+    return { ok: true, type: 'transfer', data, nonce, exp: exp * 1000 };
+  }
+
+  // QRs antigos eram base64 de JSON com "type": "migstar_transfer..."
+  function isLegacy(text) {
+    try {
+      const data = JSON.parse(atob(text));
+      return data && typeof data.type === 'string' && data.type.startsWith('migstar_');
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * options: { key (hex), expect: [tipos aceitos aqui], isNonceUsed(nonce) -> bool, now (ms) }
+   * Cada falha tem seu code e uma mensagem pronta para mostrar.
+   */
+  async function decode(text, options = {}) {
+    if (typeof text !== 'string') return fail('not_migstar');
+    text = text.trim();
+    if (isShortCode(text)) return decodeShort(text, options);
+    if (!text.startsWith(PREFIX)) {
+      if (/^MS\d+:/.test(text)) return fail('newer');
+      return fail(isLegacy(text) ? 'legacy' : 'not_migstar');
+    }
+    let payload;
+    try {
+      payload = JSON.parse(fromBase64Url(text.slice(PREFIX.length)));
+    } catch (e) {
+      return fail('malformed');
+    }
+    if (!payload || typeof payload !== 'object') return fail('malformed');
+    if (payload.v > VERSION) return fail('newer');
+    if (payload.v !== VERSION) return fail('malformed');
+
+    const type = typeByCode(payload.t);
+    if (!type) return fail('unknown_type');
+    const spec = TYPES[type];
+    if (options.expect && !options.expect.includes(type)) {
+      const accepted = options.expect.map(name => TYPES[name].label).join(' ou ');
+      return fail('wrong_type', `Esse QR é de ${spec.label}, mas aqui só vale ${accepted}.`);
+    }
+    if (typeof payload.n !== 'string' || !payload.n || !Number.isInteger(payload.i) || !Number.isInteger(payload.e)) {
+      return fail('malformed');
+    }
+    const data = {};
+    for (const name of Object.keys(spec.fields)) {
+      const [key, valid, label, required] = spec.fields[name];
+      if (payload[key] === undefined && !required) continue;
+      if (!valid(payload[key])) return fail('invalid_field', `QR com ${label} inválido(a).`);
+      data[name] = payload[key];
+    }
+
+    if (options.key && !(await MigCrypto.verify(payload, options.key))) return fail('signature');
+    const now = Math.floor((options.now || Date.now()) / 1000);
+    if (payload.e - payload.i > MAX_VALIDITY) return fail('too_long');
+    if (payload.i - CLOCK_SKEW > now) return fail('not_yet');
+    if (now > payload.e) {
+      return fail('expired', `QR expirado desde ${new Date(payload.e * 1000).toLocaleString()}.`);
+    }
+    if (options.isNonceUsed && options.isNonceUsed(payload.n)) return fail('used');
+    return { ok: true, type, data, nonce: payload.n, exp: payload.e * 1000 };
+  }
+
+  function describe(type) {
+    return TYPES[type] ? TYPES[type].label : type;
+  }
+
+  window.MigQR = { encode, decode, shortCode, describe, TYPES, PREFIX, VERSION, MAX_VALIDITY };
+})();
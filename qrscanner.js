@@ -0,0 +1,137 @@
+/**
+ * Leitor de QR pela câmera, compartilhado pelo MigStar e pelo DanStar.
+ *
+ * Em vez de passar o quadro inteiro (1280x720) pelo jsQR a cada frame, cada tentativa:
+ *   - recorta o quadrado central do vídeo (CROP do menor lado, onde fica a mira),
+ *   - reduz para SCAN_SIZE x SCAN_SIZE num canvas que é sempre o mesmo,
+ *   - manda os pixels para scan-worker.js num buffer que vai e volta sem cópia,
+ * no máximo uma tentativa por vez e uma a cada SCAN_INTERVAL ms. Sem Worker (ex.: WebView
+ * abrindo por file://) o jsQR roda aqui mesmo, com o mesmo recorte e o mesmo ritmo.
+ *
+ * Usa: const scanner = MigScanner.start(video, { onResult(texto), onTimeout(), onError(erro), timeout })
+ *   onError só é chamado na primeira tentativa que falhar (um quadro ruim não para a leitura)
+ *   scanner.ready -> Promise (rejeita se a câmera não abrir), scanner.stop(), scanner.active
+ * stop() pode ser chamado a qualquer momento, até antes da câmera abrir: a câmera é
+ * desligada assim que chegar.
+ */
+(function() {
+  const SCAN_SIZE = 400;
+  const CROP = 0.8;
+  const SCAN_INTERVAL = 150;
+  const SCAN_TIMEOUT = 30 * 1000;
+
+  let worker = null;
+  let workerFailed = false;
+  let nextId = 0;
+  const pending = new Map();
+
+  function getWorker() {
+    if (worker || workerFailed || typeof Worker === 'undefined') return worker;
+    try {
+      worker = new Worker('scan-worker.js');
+    } catch (e) {
+      workerFailed = true;
+      return null;
+    }
+    worker.onmessage = event => {
+      const resolve = pending.get(event.data.id);
+      pending.delete(event.data.id);
+      if (resolve) resolve({ data: event.data.data, pixels: new Uint8ClampedArray(event.data.buffer) });
+    };
+    // worker quebrado: as próximas tentativas rodam na thread principal
+    worker.onerror = () => {
+      workerFailed = true;
+      worker = null;
+      pending.forEach(resolve => resolve(null));
+      pending.clear();
+    };
+    return worker;
+  }
+
+  // { data, pixels } com os pixels devolvidos para reuso, ou null se o worker falhou no meio
+  function decode(pixels) {
+    const w = getWorker();
+    if (!w) {
+      const qr = jsQR(pixels, SCAN_SIZE, SCAN_SIZE, { inversionAttempts: 'dontInvert' });
+      return Promise.resolve({ data: qr ? qr.data : null, pixels });
+    }
+    const id = ++nextId;
+    return new Promise(resolve => {
+      pending.set(id, resolve);
+      w.postMessage({ id, width: SCAN_SIZE, height: SCAN_SIZE, buffer: pixels.buffer }, [pixels.buffer]);
+    });
+  }
+
+  function start(video, options = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.width = SCAN_SIZE;
+    canvas.height = SCAN_SIZE;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    let pixels = new Uint8ClampedArray(SCAN_SIZE * SCAN_SIZE * 4);
+    let stream = null;
+    let stopped = false;
+    let busy = false;
+    let lastAttempt = 0;
+    let frameFailed = false;
+    let frame = 0;
+    let timer = 0;
+
+    function stop() {
+      if (stopped) return;
+      stopped = true;
+      cancelAnimationFrame(frame);
+      clearTimeout(timer);
+      if (stream) stream.getTracks().forEach(t => t.stop());
+      video.srcObject = null;
+    }
+
+    async function attempt() {
+      const side = Math.min(video.videoWidth, video.videoHeight) * CROP;
+      ctx.drawImage(video, (video.videoWidth - side) / 2, (video.videoHeight - side) / 2, side, side, 0, 0, SCAN_SIZE, SCAN_SIZE);
+      pixels.set(ctx.getImageData(0, 0, SCAN_SIZE, SCAN_SIZE).data);
+      const result = await decode(pixels);
+      pixels = result ? result.pixels : new Uint8ClampedArray(SCAN_SIZE * SCAN_SIZE * 4);
+      if (result && result.data && !stopped) {
+        stop();
+        if (options.onResult) options.onResult(result.data);
+      }
+    }
+
+    function tick(now) {
+      if (stopped) return;
+      frame = requestAnimationFrame(tick);
+      // o Android às vezes liga a câmera mas demora 200–500ms para mandar o vídeo
+      if (busy || now - lastAttempt < SCAN_INTERVAL || video.readyState < 2 || video.videoWidth === 0) return;
+      lastAttempt = now;
+      busy = true;
+      attempt().catch(e => {
+        if (!frameFailed && options.onError) options.onError(e);
+        frameFailed = true;
+      }).finally(() => { busy = false; });
+    }
+
+    const camera = navigator.mediaDevices && navigator.mediaDevices.getUserMedia
+      ? navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment', width: { ideal: 1280 }, height: { ideal: 720 } } })
+      : Promise.reject(new Error('câmera não suportada'));
+    const ready = camera.then(s => {
+      // câmera chegou depois de stop(): desliga na hora
+      if (stopped) return s.getTracks().forEach(t => t.stop());
+      stream = s;
+      video.srcObject = s;
+      video.setAttribute('playsinline', '');
+      video.muted = true;
+      return video.play();
+    }).then(() => {
+      if (stopped) return;
+      timer = setTimeout(() => {
+        stop();
+        if (options.onTimeout) options.onTimeout();
+      }, options.timeout || SCAN_TIMEOUT);
+      frame = requestAnimationFrame(tick);
+    });
+
+    return { stop, ready, get active() { return !stopped; } };
+  }
+
+  window.MigScanner = { start, SCAN_SIZE, SCAN_TIMEOUT };
+})();
@@ -0,0 +1,14 @@
+/**
+ * Worker de leitura de QR (usado por qrscanner.js): roda o jsQR fora da thread da tela.
+ *
+ * Recebe { id, width, height, buffer } com os pixels RGBA do recorte e devolve
+ * { id, data, buffer }, com data = texto do QR ou null. O buffer vai e volta transferido,
+ * sem cópia, para o scanner reaproveitar no próximo quadro.
+ */
+importScripts('vendor/jsQR.js');
+
+self.onmessage = event => {
+  const { id, width, height, buffer } = event.data;
+  const qr = jsQR(new Uint8ClampedArray(buffer), width, height, { inversionAttempts: 'dontInvert' });
+  self.postMessage({ id, data: qr ? qr.data : null, buffer }, [buffer]);
+};
@@ -0,0 +1,165 @@
+/**
+ * Agendamento das missões do dia.
+ *
+ * Cada missão pode ter schedule = { type, days, date }:
+ *   daily    -> pode aparecer todo dia (padrão)
+ *   weekdays -> só nos dias da semana em days (0 = domingo ... 6 = sábado)
+ *   weekly   -> pode aparecer até ser completada uma vez na semana (segunda a domingo)
+ *   once     -> só na data date ('AAAA-MM-DD')
+ * e mandatory = true faz a missão aparecer sempre que estiver elegível; o sorteio só
+ * preenche as vagas que sobrarem. As obrigatórias não têm teto: se forem mais que a
+ * quantidade do dia (ou a quantidade for 0), entram todas e o sorteio não entra.
+ *
+ * O sorteio usa um gerador com semente (data + perfil), então o mesmo dia dá sempre a mesma
+ * seleção. Usa: MigSchedule.pickDailyMissions(pool, opções), MigSchedule.isEligible(missão, data, ctx),
+ * MigSchedule.createRng(seed)
+ *
+ * O "dia do app" não é o dia em UTC: MigSchedule.dayKey(instante, { timeZone, resetHour }) dá a
+ * data no fuso configurado, com o dia virando às resetHour horas (ex.: 4 = a madrugada ainda
+ * conta como ontem). MigSchedule.daysBetween(de, até) lista os dias de de (incluso) até até (fora).
+ *
+ * Créditos agendados (mesada) = { period, weekday, monthDay }:
+ *   daily   -> todo dia
+ *   weekly  -> no dia da semana weekday (0 = domingo ... 6 = sábado)
+ *   monthly -> no dia monthDay do mês (31 num mês de 30 dias cai no dia 30)
+ * MigSchedule.isCreditDue(crédito, data) diz se paga em data e MigSchedule.periodKey(period, data)
+ * dá o período de data ('AAAA-MM-DD', a segunda-feira da semana ou 'AAAA-MM'): um por período.
+ */
+(function() {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  // 'AAAA-MM-DD' -> ms em UTC ao meio-dia (evita surpresas com horário de verão)
+  function dateToUTC(date) {
+    const [y, m, d] = date.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, 12);
+  }
+
+  function utcToDate(ms) {
+    return new Date(ms).toISOString().split('T')[0];
+  }
+
+  function weekdayOf(date) {
+    return new Date(dateToUTC(date)).getUTCDay();
+  }
+
+  // segunda-feira da semana de date
+  function weekStart(date) {
+    const offset = (weekdayOf(date) + 6) % 7;
+    return utcToDate(dateToUTC(date) - offset * DAY);
+  }
+
+  function addDays(date, days) {
+    return utcToDate(dateToUTC(date) + days * DAY);
+  }
+
+  const HOUR = 60 * 60 * 1000;
+  const dayFormatters = {};
+
+  function dayFormatter(timeZone) {
+    const key = timeZone || '';
+    if (!dayFormatters[key]) {
+      dayFormatters[key] = new Intl.DateTimeFormat('en-US', { timeZone: timeZone || undefined, year: 'numeric', month: '2-digit', day: '2-digit' });
+    }
+    return dayFormatters[key];
+  }
+
+  // when: Date, ms ou texto ISO
+  function dayKey(when, options = {}) {
+    const time = (typeof when === 'string' ? Date.parse(when) : Number(when)) - (options.resetHour || 0) * HOUR;
+    const parts = {};
+    dayFormatter(options.timeZone).formatToParts(time).forEach(part => { parts[part.type] = part.value; });
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+
+  function isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function daysBetween(from, to) {
+    const days = [];
+    for (let day = from; day < to; day = addDays(day, 1)) days.push(day);
+    return days;
+  }
+
+  function periodKey(period, date) {
+    if (period === 'weekly') return weekStart(date);
+    if (period === 'monthly') return date.slice(0, 7);
+    return date;
+  }
+
+  function isCreditDue(credit, date) {
+    if (credit.period === 'weekly') return weekdayOf(date) === credit.weekday;
+    if (credit.period === 'monthly') {
+      const [y, m, d] = date.split('-').map(Number);
+      const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+      return d === Math.min(credit.monthDay, lastDay);
+    }
+    return true;
+  }
+
+  // hash de string (cyrb53 reduzido a 32 bits) para semear o gerador
+  function hashSeed(str) {
+    let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+      const ch = str.charCodeAt(i);
+      h1 = Math.imul(h1 ^ ch, 2654435761);
+      h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    return h1 >>> 0;
+  }
+
+  // mulberry32: devolve uma função () => número em [0, 1)
+  function createRng(seed) {
+    let a = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+    return function() {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function shuffle(list, rng) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Math.floor(rng() * (i + 1));
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  // ctx.completedThisWeek: ids das missões já feitas na semana de date
+  function isEligible(mission, date, ctx = {}) {
+    const schedule = mission.schedule || { type: 'daily' };
+    switch (schedule.type) {
+      case 'weekdays': return (schedule.days || []).includes(weekdayOf(date));
+      case 'weekly': return !(ctx.completedThisWeek || []).includes(mission.id);
+      case 'once': return schedule.date === date;
+      default: return true;
+    }
+  }
+
+  /**
+   * opções: { date, count, seed, exclude: [ids], completedThisWeek: [ids] }
+   * Devolve todas as obrigatórias elegíveis e completa até count com o sorteio; se só as
+   * obrigatórias já passam de count, a lista fica maior que count.
+   */
+  function pickDailyMissions(pool, options) {
+    const exclude = options.exclude || [];
+    const eligible = pool
+      .filter(m => m.enabled !== false && !exclude.includes(m.id) && isEligible(m, options.date, options))
+      .sort((a, b) => a.id - b.id);
+    const mandatory = eligible.filter(m => m.mandatory);
+    const drawn = shuffle(eligible.filter(m => !m.mandatory), createRng(options.seed || options.date));
+    return mandatory.concat(drawn.slice(0, Math.max(0, options.count - mandatory.length)));
+  }
+
+  window.MigSchedule = { pickDailyMissions, isEligible, createRng, weekdayOf, weekStart, addDays, dayKey, daysBetween, isValidTimeZone, periodKey, isCreditDue };
+})();
@@ -0,0 +1,92 @@
+/**
+ * Versão do esquema dos dados e migrações.
+ *
+ * A versão fica em migstar_schemaVersion. No boot, MigSchema.migrate() roda em ordem as
+ * migrações com versão maior que a salva, gravando a versão depois de cada passo; se um
+ * passo falhar, para ali e o app segue com o que já foi migrado.
+ *
+ * Valores corrompidos (JSON inválido ou com formato errado) não derrubam o app: vão para
+ * a quarentena em migstar_quarantine ({ key, raw, reason, date }) e a chave é apagada,
+ * para o app recriar o padrão.
+ *
+ * Usa: MigSchema.migrate(storage, migrations, versãoAtual), MigSchema.validateAll(storage, validators),
+ * MigSchema.readJSON(storage, key, validate)
+ */
+(function() {
+  const VERSION_KEY = 'migstar_schemaVersion';
+  const QUARANTINE_KEY = 'migstar_quarantine';
+  const QUARANTINE_MAX = 20;
+
+  function appKeys(storage) {
+    return storage.keys().filter(k => k.startsWith('migstar_'));
+  }
+
+  function quarantine(storage, key, raw, reason) {
+    let list = [];
+    try { list = JSON.parse(storage.getItem(QUARANTINE_KEY)) || []; } catch (e) {}
+    list.push({ key, raw, reason, date: new Date().toISOString() });
+    storage.setItem(QUARANTINE_KEY, JSON.stringify(list.slice(-QUARANTINE_MAX)));
+    storage.removeItem(key);
+  }
+
+  // JSON da chave, ou null (ausente ou enviado para a quarentena)
+  function readJSON(storage, key, validate) {
+    const raw = storage.getItem(key);
+    if (raw === null || raw === undefined) return null;
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (e) {
+      quarantine(storage, key, raw, 'JSON inválido');
+      return null;
+    }
+    if (validate && !validate(value)) {
+      quarantine(storage, key, raw, 'formato inesperado');
+      return null;
+    }
+    return value;
+  }
+
+  function currentVersion(storage) {
+    const version = parseInt(storage.getItem(VERSION_KEY));
+    return isNaN(version) ? 0 : version;
+  }
+
+  /**
+   * migrations: [{ version, description, up() }] em ordem crescente.
+   * Instalação nova (nenhuma chave migstar_*) já começa na versão atual.
+   * Devolve { from, to, failed, error } (failed = migração que deu erro e error o erro, ou null).
+   */
+  function migrate(storage, migrations, latest) {
+    const from = currentVersion(storage);
+    if (from === 0 && appKeys(storage).length === 0) {
+      storage.setItem(VERSION_KEY, String(latest));
+      return { from: latest, to: latest, failed: null, error: null };
+    }
+    let to = from;
+    for (const migration of migrations) {
+      if (migration.version <= to) continue;
+      try {
+        migration.up();
+      } catch (e) {
+        return { from, to, failed: migration, error: e };
+      }
+      to = migration.version;
+      storage.setItem(VERSION_KEY, String(to));
+    }
+    return { from, to, failed: null, error: null };
+  }
+
+  // validators: [{ match: RegExp, validate(value) }]. Devolve as chaves enviadas para a quarentena.
+  function validateAll(storage, validators) {
+    const quarantined = [];
+    appKeys(storage).forEach(key => {
+      const validator = validators.find(v => v.match.test(key));
+      if (!validator) return;
+      if (readJSON(storage, key, validator.validate) === null && storage.getItem(key) === null) quarantined.push(key);
+    });
+    return quarantined;
+  }
+
+  window.MigSchema = { migrate, validateAll, readJSON, quarantine, currentVersion, VERSION_KEY, QUARANTINE_KEY };
+})();
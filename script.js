@@ -1,60 +1,111 @@
   /**
-   * Storage wrapper com camadas:
-   * 1) tenta localStorage
-   * 2) senão, usa IndexedDB (carrega tudo no cache para acesso síncrono)
-   * 3) senão, tenta usar interface Android exposta (AndroidStorage, Android, AndroidBridge)
-   * 4) senão, fallback em memória
+   * Storage wrapper com adaptadores, em ordem de preferência:
+   * 1) localStorage
+   * 2) IndexedDB
+   * 3) interface Android exposta (AndroidStorage, Android, AndroidBridge)
+   * 4) cookies (valores grandes divididos em pedaços)
+   * 5) memória (não persiste)
    *
-   * Usa: storage.getItem(key), storage.setItem(key,value), storage.removeItem(key), storage.clear()
-   * e storage.ready (Promise que resolve quando inicializado)
+   * Todo adaptador tem a mesma interface: { name, available(), load() -> { chave: valor },
+   * set(k,v), remove(k), clear() }, com as escritas devolvendo Promise. O wrapper mantém tudo
+   * num cache para leitura síncrona, acompanha as escritas pendentes e avisa das falhas.
+   *
+   * Quando o backend muda (ex.: o WebView passou a ter localStorage), os dados que estavam
+   * em outro adaptador são copiados para o novo na primeira inicialização.
+   *
+   * Usa: storage.getItem(key), storage.setItem(key,value), storage.removeItem(key), storage.clear(), storage.keys(),
+   * storage.flush() (Promise que resolve quando as escritas foram gravadas), storage.on('error', fn),
+   * storage.diagnostics() e storage.ready (Promise que resolve quando inicializado)
    */
   (function() {
+    // marca, em cada adaptador, que ele já foi usado como backend (não entra no backup: não começa com migstar_)
+    const BACKEND_MARK = '__mig_backend';
+
+    let adapter = null;
+    const pending = new Set();
+    const listeners = { error: [] };
+    const health = { errors: 0, lastError: null, migratedFrom: null };
+
     const storage = {
       backend: 'none',
       _cache: {},
-      _idb: null,
       ready: null,
       getItem(key){ return (this._cache.hasOwnProperty(key) ? this._cache[key] : null); },
       setItem(key, value){
         this._cache[key] = String(value);
-        persistSet(key, String(value));
+        track('set', key, () => adapter.set(key, String(value)));
       },
       removeItem(key){
         delete this._cache[key];
-        persistRemove(key);
+        track('remove', key, () => adapter.remove(key));
       },
       clear(){
-        this._cache = {};
-        persistClear();
+        this._cache = { [BACKEND_MARK]: this.backend };
+        track('clear', null, () => adapter.clear().then(() => adapter.set(BACKEND_MARK, this.backend)));
+      },
+      keys(){ return Object.keys(this._cache).filter(k => k !== BACKEND_MARK); },
+      // resolve quando todas as escritas feitas até agora foram gravadas (ou falharam)
+      flush(){ return Promise.all(Array.from(pending)).then(() => undefined); },
+      on(event, fn){ (listeners[event] = listeners[event] || []).push(fn); },
+      diagnostics(){
+        const keys = this.keys();
+        return {
+          backend: this.backend,
+          healthy: health.errors === 0,
+          errors: health.errors,
+          lastError: health.lastError,
+          pendingWrites: pending.size,
+          keys: keys.length,
+          bytes: keys.reduce((sum, k) => sum + k.length + (this._cache[k] || '').length, 0),
+          migratedFrom: health.migratedFrom
+        };
       }
     };
 
-    // helpers de persistência que mudarão conforme backend
-    let persistSet = (k,v)=>{};
-    let persistRemove = (k)=>{};
-    let persistClear = ()=>{};
-
-    async function tryLocalStorage() {
-      try {
-        const testKey = '__mig_test__';
-        window.localStorage.setItem(testKey, '1');
-        window.localStorage.removeItem(testKey);
-        // está ok -> carregar keys
-        storage.backend = 'localStorage';
+    function emit(event, detail) {
+      (listeners[event] || []).forEach(fn => { try { fn(detail); } catch(e){} });
+    }
+
+    function reportError(op, key, error) {
+      health.errors++;
+      health.lastError = { op, key, message: String(error && error.message || error), date: new Date().toISOString() };
+      console.warn(`storage ${storage.backend}: ${op} ${key || ''} falhou`, error);
+      emit('error', Object.assign({ backend: storage.backend }, health.lastError));
+    }
+
+    function track(op, key, write) {
+      if (!adapter) return;
+      let promise;
+      try { promise = Promise.resolve(write()); } catch(e) { promise = Promise.reject(e); }
+      promise = promise.catch(e => reportError(op, key, e)).then(() => { pending.delete(promise); });
+      pending.add(promise);
+    }
+
+    // --- localStorage ---
+    const localStorageAdapter = {
+      name: 'localStorage',
+      available(){
+        try {
+          const testKey = '__mig_test__';
+          window.localStorage.setItem(testKey, '1');
+          window.localStorage.removeItem(testKey);
+          return true;
+        } catch(e){ return false; }
+      },
+      async load(){
+        const data = {};
         for(let i=0;i<localStorage.length;i++){
           const k = localStorage.key(i);
-          const v = localStorage.getItem(k);
-          if (k) storage._cache[k] = v;
+          if (k) data[k] = localStorage.getItem(k);
         }
-        persistSet = (k,v)=>{ try { localStorage.setItem(k,v); } catch(e){ console.warn('localStorage.setItem falhou',e);} };
-        persistRemove = (k)=>{ try { localStorage.removeItem(k); } catch(e){ } };
-        persistClear = ()=>{ try { localStorage.clear(); } catch(e){} };
-        return true;
-      } catch(e){
-        return false;
-      }
-    }
+        return data;
+      },
+      async set(k,v){ localStorage.setItem(k,v); },
+      async remove(k){ localStorage.removeItem(k); },
+      async clear(){ localStorage.clear(); }
+    };
 
+    // --- IndexedDB: cada escrita resolve quando a transação completa ---
     function openIndexedDB(){
       return new Promise((res, rej) => {
         if (!('indexedDB' in window)) return rej('no-indexeddb');
@@ -68,109 +119,225 @@
       });
     }
 
-    async function tryIndexedDB() {
-      try {
-        const db = await openIndexedDB();
-        storage._idb = db;
-        storage.backend = 'indexedDB';
-        // carregar todo o store para cache
-        const tx = db.transaction('kv','readonly');
-        const store = tx.objectStore('kv');
-        const allReq = store.openCursor();
+    const indexedDBAdapter = {
+      name: 'indexedDB',
+      db: null,
+      async available(){
+        try {
+          this.db = await openIndexedDB();
+          return true;
+        } catch(e){
+          console.warn('indexedDB não disponível', e);
+          return false;
+        }
+      },
+      load(){
         return new Promise((res, rej) => {
-          allReq.onsuccess = (e) => {
+          const data = {};
+          const req = this.db.transaction('kv','readonly').objectStore('kv').openCursor();
+          req.onsuccess = (e) => {
             const cursor = e.target.result;
-            if (cursor) {
-              storage._cache[cursor.key] = cursor.value;
-              cursor.continue();
-            } else {
-              // definimos persist funcs que usam IDB
-              persistSet = (k,v) => {
-                try {
-                  const wtx = db.transaction('kv','readwrite');
-                  wtx.objectStore('kv').put(v,k);
-                } catch(e){ console.warn('idb set falhou',e); }
-              };
-              persistRemove = (k) => {
-                try {
-                  const wtx = db.transaction('kv','readwrite');
-                  wtx.objectStore('kv').delete(k);
-                } catch(e){}
-              };
-              persistClear = () => {
-                try {
-                  const wtx = db.transaction('kv','readwrite');
-                  wtx.objectStore('kv').clear();
-                } catch(e){}
-              };
-              res(true);
-            }
+            if (!cursor) return res(data);
+            data[cursor.key] = cursor.value;
+            cursor.continue();
           };
-          allReq.onerror = (e) => rej(e.target.error || 'cursor-error');
+          req.onerror = (e) => rej(e.target.error || 'cursor-error');
+        });
+      },
+      write(fn){
+        return new Promise((res, rej) => {
+          const tx = this.db.transaction('kv','readwrite');
+          fn(tx.objectStore('kv'));
+          tx.oncomplete = () => res();
+          tx.onerror = tx.onabort = () => rej(tx.error || 'idb-tx-error');
         });
-      } catch(e){
-        console.warn('indexedDB não disponível', e);
+      },
+      set(k,v){ return this.write(store => store.put(v,k)); },
+      remove(k){ return this.write(store => store.delete(k)); },
+      clear(){ return this.write(store => store.clear()); }
+    };
+
+    // --- Android: nem toda ponte lista as chaves, então guardamos um índice próprio ---
+    const ANDROID_INDEX = '__mig_keys';
+    // chaves que versões antigas gravaram antes de existir o índice
+    const ANDROID_LEGACY_KEYS = ['migstar_profiles','migstar_user','migstar_missionPool','migstar_transactions','migstar_history','migstar_todayMissions','migstar_store','migstar_guardian','migstar_qrKey','migstar_usedNonces'];
+
+    const androidAdapter = {
+      name: 'android',
+      api: null,
+      index: [],
+      available(){
+        // tenta vários nomes comuns que geradores de APK usam ao expor API nativa
+        for (const name of ['AndroidStorage','Android','AndroidBridge','android']) {
+          const api = window[name];
+          if (api && typeof api.getItem === 'function' && (typeof api.setItem === 'function' || typeof api.set === 'function')) {
+            this.api = api;
+            this.name = 'android:' + name;
+            return true;
+          }
+        }
         return false;
+      },
+      get(k){
+        const v = this.api.getItem(k);
+        return v === null || v === undefined ? null : String(v);
+      },
+      put(k,v){ typeof this.api.setItem === 'function' ? this.api.setItem(k,v) : this.api.set(k,v); },
+      saveIndex(){ this.put(ANDROID_INDEX, JSON.stringify(this.index)); },
+      async load(){
+        let keys = null;
+        if (typeof this.api.keys === 'function') {
+          try { keys = JSON.parse(this.api.keys()); } catch(e){}
+        }
+        if (!Array.isArray(keys)) {
+          try { keys = JSON.parse(this.get(ANDROID_INDEX) || 'null'); } catch(e){}
+        }
+        if (!Array.isArray(keys)) {
+          keys = ANDROID_LEGACY_KEYS.slice();
+          // chaves de cada perfil (migstar_p_<id>_<nome>) da época antes do índice
+          try {
+            const profiles = JSON.parse(this.get('migstar_profiles') || 'null');
+            if (profiles) profiles.list.forEach(p => ['user','ledger','transactions','history','todayMissions','achievements'].forEach(n => keys.push(`migstar_p_${p.id}_${n}`)));
+          } catch(e){}
+        }
+        const data = {};
+        keys.forEach(k => {
+          const v = this.get(k);
+          if (v !== null) data[k] = v;
+        });
+        this.index = Object.keys(data);
+        this.saveIndex();
+        return data;
+      },
+      async set(k,v){
+        this.put(k,v);
+        if (!this.index.includes(k)) {
+          this.index.push(k);
+          this.saveIndex();
+        }
+      },
+      async remove(k){
+        if (typeof this.api.removeItem === 'function') this.api.removeItem(k);
+        else this.put(k, null);
+        this.index = this.index.filter(i => i !== k);
+        this.saveIndex();
+      },
+      async clear(){
+        if (typeof this.api.clear === 'function') this.api.clear();
+        else this.index.forEach(k => { typeof this.api.removeItem === 'function' ? this.api.removeItem(k) : this.put(k, null); });
+        this.index = [];
+        this.saveIndex();
       }
-    }
+    };
 
-    async function tryAndroidBridge() {
-      // tenta vários nomes comuns que geradores de APK usam ao expor API nativa
-      const candidates = ['AndroidStorage','Android','AndroidBridge','android'];
-      for (const name of candidates) {
-        if (window[name]) {
+    // --- cookies: cada valor vira ms~<parte>~<chave>, em pedaços que cabem no limite de ~4KB ---
+    const COOKIE_CHUNK = 3000;
+    const COOKIE_MAX_AGE = 10 * 365 * 24 * 60 * 60;
+
+    const cookieAdapter = {
+      name: 'cookies',
+      chunks: {},
+      available(){
+        try {
+          document.cookie = '__mig_test__=1; path=/; SameSite=Strict';
+          const ok = document.cookie.indexOf('__mig_test__=1') !== -1;
+          document.cookie = '__mig_test__=; path=/; max-age=0';
+          return ok;
+        } catch(e){ return false; }
+      },
+      writeCookie(name, value, maxAge){
+        document.cookie = `${name}=${value}; path=/; max-age=${maxAge}; SameSite=Strict`;
+      },
+      async load(){
+        const parts = {};
+        (document.cookie ? document.cookie.split('; ') : []).forEach(c => {
+          const eq = c.indexOf('=');
+          const match = c.slice(0, eq).match(/^ms~(\d+)~(.+)$/);
+          if (!match) return;
+          (parts[match[2]] = parts[match[2]] || [])[Number(match[1])] = c.slice(eq + 1);
+        });
+        const data = {};
+        Object.keys(parts).forEach(name => {
+          const list = parts[name];
           try {
-            // se existir um getItem síncrono, pega chaves úteis e popula cache (tentativa)
-            const api = window[name];
-            storage.backend = 'android:' + name;
-            // definir persist funcs
-            if (typeof api.setItem === 'function') {
-              persistSet = (k,v)=>{ try{ api.setItem(k,v); } catch(e){ console.warn('android.setItem falhou',e);} };
-            } else if (typeof api.set === 'function') {
-              persistSet = (k,v)=>{ try{ api.set(k,v); } catch(e){} };
-            } else {
-              persistSet = ()=>{ console.warn('android bridge sem setItem'); };
-            }
-            if (typeof api.getItem === 'function') {
-              persistRemove = (k)=>{ try{ if(api.removeItem) api.removeItem(k); } catch(e){} };
-              // tenta carregar chaves que costumamos usar
-              const keysToTry = ['migstar_user','migstar_missionPool','migstar_transactions','migstar_history','migstar_todayMissions'];
-              keysToTry.forEach(k=>{
-                try {
-                  const v = api.getItem(k);
-                  if (v !== null && v !== undefined) storage._cache[k] = v;
-                } catch(e){}
-              });
-              return true;
-            }
-          } catch(e){ console.warn('android bridge test error', e); }
+            const key = decodeURIComponent(name);
+            this.chunks[key] = list.length;
+            // só aceita o valor com todos os pedaços (o corte pode cair no meio de um %XX, então decodifica junto)
+            if (list.every(p => p !== undefined)) data[key] = decodeURIComponent(list.join(''));
+          } catch(e){}
+        });
+        return data;
+      },
+      async set(k,v){
+        const name = encodeURIComponent(k);
+        const encoded = encodeURIComponent(v);
+        const count = Math.max(1, Math.ceil(encoded.length / COOKIE_CHUNK));
+        for (let i = 0; i < count; i++) {
+          this.writeCookie(`ms~${i}~${name}`, encoded.slice(i * COOKIE_CHUNK, (i + 1) * COOKIE_CHUNK), COOKIE_MAX_AGE);
         }
+        for (let i = count; i < (this.chunks[k] || 0); i++) this.writeCookie(`ms~${i}~${name}`, '', 0);
+        this.chunks[k] = count;
+        if (document.cookie.indexOf(`ms~${count - 1}~${name}=`) === -1) throw new Error('cookie recusado (limite de tamanho?)');
+      },
+      async remove(k){
+        const name = encodeURIComponent(k);
+        for (let i = 0; i < (this.chunks[k] || 1); i++) this.writeCookie(`ms~${i}~${name}`, '', 0);
+        delete this.chunks[k];
+      },
+      async clear(){
+        Object.keys(this.chunks).forEach(k => this.remove(k));
+      }
+    };
+
+    // --- memória: último recurso, nada persiste ---
+    const memoryAdapter = {
+      name: 'memory',
+      available(){ return true; },
+      async load(){ return {}; },
+      async set(){},
+      async remove(){},
+      async clear(){}
+    };
+
+    const adapters = [localStorageAdapter, indexedDBAdapter, androidAdapter, cookieAdapter, memoryAdapter];
+
+    // primeira vez neste backend: traz os dados migstar_* que estiverem em outro adaptador disponível
+    async function migrateInto(primary, data) {
+      for (const other of adapters) {
+        if (other === primary || other === memoryAdapter) continue;
+        try {
+          if (!(await other.available())) continue;
+          const old = await other.load();
+          const keys = Object.keys(old).filter(k => k.startsWith('migstar_') && !(k in data));
+          if (keys.length === 0) continue;
+          for (const k of keys) {
+            data[k] = old[k];
+            await primary.set(k, old[k]);
+          }
+          for (const k of keys) await other.remove(k);
+          health.migratedFrom = other.name;
+          console.warn(`storage: ${keys.length} chave(s) migradas de ${other.name} para ${primary.name}`);
+        } catch(e){ console.warn(`storage: não foi possível migrar de ${other.name}`, e); }
       }
-      return false;
     }
 
-    // fallback memoria -> já definido por padrão (persist funcs vazios)
     async function init() {
-      // 1) tenta localStorage
-      if (await tryLocalStorage()) {
-        return storage;
-      }
-      // 2) tenta indexedDB
-      if (await tryIndexedDB()) {
-        return storage;
-      }
-      // 3) tenta android bridge
-      if (await tryAndroidBridge()) {
-        return storage;
-      }
-      // 4) fallback (cache em memória). Podemos também usar cookies aqui como tentativa extra:
-      try {
-        // carregar cookies se existir
-        const cookies = document.cookie ? document.cookie.split('; ').map(c => c.split('=')) : [];
-        cookies.forEach(([k,v])=>{ try { storage._cache[decodeURIComponent(k)] = decodeURIComponent(v); } catch(e){} });
-      } catch(e){}
-      storage.backend = 'memory';
-      console.warn('Usando storage fallback em memória. Persistência pode não funcionar no WebView atual.');
+      for (const candidate of adapters) {
+        try {
+          if (!(await candidate.available())) continue;
+          const data = await candidate.load();
+          if (!(BACKEND_MARK in data)) {
+            await migrateInto(candidate, data);
+            data[BACKEND_MARK] = candidate.name;
+            await candidate.set(BACKEND_MARK, candidate.name);
+          }
+          adapter = candidate;
+          storage.backend = candidate.name;
+          storage._cache = data;
+          break;
+        } catch(e){ console.warn(`storage: ${candidate.name} falhou ao iniciar`, e); }
+      }
+      if (storage.backend === 'memory') console.warn('Usando storage fallback em memória. Persistência pode não funcionar no WebView atual.');
       return storage;
     }
 
@@ -197,6 +364,13 @@
 
       // agora o DOM + storage estão prontos -> inicializa app
       initApp();
+      registerServiceWorker();
+    }
+
+    // cache offline (sw.js); no WebView aberto via file:// não há service worker, e nem precisa
+    function registerServiceWorker() {
+      if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+      navigator.serviceWorker.register('sw.js').catch(e => console.warn('service worker não registrado', e));
     }
 
     function documentReady() {
@@ -286,126 +460,1006 @@
 }
 
       const state = {
+        profiles: [],
+        activeProfileId: null,
         user: null,
         missions: [],
-        transactions: [],
+        ledger: [],
         history: [],
         todayMissions: [],
-        todayDate: new Date().toISOString().split('T')[0]
+        achievements: {},
+        store: [],
+        settings: null,
+        // dia do app (fuso e hora de virada das configurações); definido em loadState
+        todayDate: null
       };
 
       const elements = {
         userBalance: document.getElementById('userBalance'),
         userName: document.getElementById('userName'),
+        userAvatar: document.getElementById('userAvatar'),
+        profileSwitcher: document.getElementById('profileSwitcher'),
+        profileOverview: document.getElementById('profileOverview'),
+        profileEditId: document.getElementById('profileEditId'),
+        profileEditAvatar: document.getElementById('profileEditAvatar'),
+        profileEditName: document.getElementById('profileEditName'),
+        profileEditSave: document.getElementById('profileEditSave'),
+        profileEditCancel: document.getElementById('profileEditCancel'),
+        settingMissionCount: document.getElementById('settingMissionCount'),
+        settingMissionWeekdays: document.getElementById('settingMissionWeekdays'),
+        settingDailyBonus: document.getElementById('settingDailyBonus'),
+        saveMissionSettingsBtn: document.getElementById('saveMissionSettingsBtn'),
         starSymbol: document.getElementById('starSymbol'),
         missionsContainer: document.getElementById('missionsContainer'),
+        storeContainer: document.getElementById('storeContainer'),
         historyContainer: document.getElementById('historyContainer'),
         missionProgress: document.getElementById('missionProgress'),
         completedMissionsCount: document.getElementById('completedMissionsCount'),
+        dailyMissionsTotal: document.getElementById('dailyMissionsTotal'),
         lastTransaction: document.getElementById('lastTransaction'),
         lastMission: document.getElementById('lastMission'),
+        streakCount: document.getElementById('streakCount'),
+        achievementsContainer: document.getElementById('achievementsContainer'),
         toast: document.getElementById('toast'),
         passwordModal: document.getElementById('passwordModal'),
+        passwordTitle: document.getElementById('passwordTitle'),
+        passwordHint: document.getElementById('passwordHint'),
         passwordInput: document.getElementById('passwordInput'),
+        passwordConfirmInput: document.getElementById('passwordConfirmInput'),
         passwordError: document.getElementById('passwordError'),
         confirmPassword: document.getElementById('confirmPassword'),
         cancelPassword: document.getElementById('cancelPassword'),
+        guardianResetBtn: document.getElementById('guardianResetBtn'),
         receiveBtn: document.getElementById('receiveBtn'),
         sender: document.getElementById('sender'),
         amount: document.getElementById('amount'),
+        recipient: document.getElementById('recipient'),
+        sendAmount: document.getElementById('sendAmount'),
+        sendNote: document.getElementById('sendNote'),
+        sendBtn: document.getElementById('sendBtn'),
+        sendLimitInfo: document.getElementById('sendLimitInfo'),
+        settingSendLimit: document.getElementById('settingSendLimit'),
+        saveSettingsBtn: document.getElementById('saveSettingsBtn'),
         resetBtn: document.getElementById('resetBtn'),
+        guardianBtn: document.getElementById('guardianBtn'),
+        adminModal: document.getElementById('adminModal'),
+        adminAdjustType: document.getElementById('adminAdjustType'),
+        adminAdjustAmount: document.getElementById('adminAdjustAmount'),
+        adminAdjustReason: document.getElementById('adminAdjustReason'),
+        adminAdjustBtn: document.getElementById('adminAdjustBtn'),
+        adminBalanceValue: document.getElementById('adminBalanceValue'),
+        adminBalanceReason: document.getElementById('adminBalanceReason'),
+        adminBalanceBtn: document.getElementById('adminBalanceBtn'),
+        adminQrSecret: document.getElementById('adminQrSecret'),
+        adminQrSecretBtn: document.getElementById('adminQrSecretBtn'),
+        adminQrSecretNotice: document.getElementById('adminQrSecretNotice'),
+        adminNewPin: document.getElementById('adminNewPin'),
+        adminNewPinBtn: document.getElementById('adminNewPinBtn'),
+        closeAdmin: document.getElementById('closeAdmin'),
+        syncUrl: document.getElementById('syncUrl'),
+        syncToken: document.getElementById('syncToken'),
+        syncConnectBtn: document.getElementById('syncConnectBtn'),
+        syncNowBtn: document.getElementById('syncNowBtn'),
+        syncDisconnectBtn: document.getElementById('syncDisconnectBtn'),
+        syncPairQRBtn: document.getElementById('syncPairQRBtn'),
+        requestAmount: document.getElementById('requestAmount'),
+        requestMemo: document.getElementById('requestMemo'),
+        requestBtn: document.getElementById('requestBtn'),
+        paymentRequestsList: document.getElementById('paymentRequestsList'),
+        syncStatus: document.getElementById('syncStatus'),
+        storageDiagnostics: document.getElementById('storageDiagnostics'),
+        storageFlushBtn: document.getElementById('storageFlushBtn'),
+        integrityCheckBtn: document.getElementById('integrityCheckBtn'),
+        integrityResult: document.getElementById('integrityResult'),
+        backupExportBtn: document.getElementById('backupExportBtn'),
+        backupImportBtn: document.getElementById('backupImportBtn'),
+        backupFile: document.getElementById('backupFile'),
+        backupPreview: document.getElementById('backupPreview'),
+        backupPreviewText: document.getElementById('backupPreviewText'),
+        backupRestoreGuardian: document.getElementById('backupRestoreGuardian'),
+        backupRestoreBtn: document.getElementById('backupRestoreBtn'),
+        backupCancelBtn: document.getElementById('backupCancelBtn'),
+        missionEditorList: document.getElementById('missionEditorList'),
+        missionEditId: document.getElementById('missionEditId'),
+        missionEditIcon: document.getElementById('missionEditIcon'),
+        missionEditTitle: document.getElementById('missionEditTitle'),
+        missionEditReward: document.getElementById('missionEditReward'),
+        missionEditCategory: document.getElementById('missionEditCategory'),
+        missionEditEnabled: document.getElementById('missionEditEnabled'),
+        missionEditMandatory: document.getElementById('missionEditMandatory'),
+        missionEditApproval: document.getElementById('missionEditApproval'),
+        settingApproveAll: document.getElementById('settingApproveAll'),
+        settingTimeZone: document.getElementById('settingTimeZone'),
+        settingResetHour: document.getElementById('settingResetHour'),
+        approvalQueue: document.getElementById('approvalQueue'),
+        reservedInfo: document.getElementById('reservedInfo'),
+        missionEditSchedule: document.getElementById('missionEditSchedule'),
+        missionEditDays: document.getElementById('missionEditDays'),
+        missionEditDate: document.getElementById('missionEditDate'),
+        missionEditSave: document.getElementById('missionEditSave'),
+        missionEditCancel: document.getElementById('missionEditCancel'),
+        allowanceSummary: document.getElementById('allowanceSummary'),
+        historySearch: document.getElementById('historySearch'),
+        historyFrom: document.getElementById('historyFrom'),
+        historyTo: document.getElementById('historyTo'),
+        historyMin: document.getElementById('historyMin'),
+        historyMax: document.getElementById('historyMax'),
+        historyClearBtn: document.getElementById('historyClearBtn'),
+        historyExportBtn: document.getElementById('historyExportBtn'),
+        historySummary: document.getElementById('historySummary'),
+        historyMoreBtn: document.getElementById('historyMoreBtn'),
+        statsByDay: document.getElementById('statsByDay'),
+        statsByWeek: document.getElementById('statsByWeek'),
+        statsByMonth: document.getElementById('statsByMonth'),
+        statsEarned: document.getElementById('statsEarned'),
+        statsSources: document.getElementById('statsSources'),
+        statsCompletion: document.getElementById('statsCompletion'),
+        statsTopMissions: document.getElementById('statsTopMissions'),
+        statsBottomMissions: document.getElementById('statsBottomMissions'),
+        goalsLocked: document.getElementById('goalsLocked'),
+        goalsContainer: document.getElementById('goalsContainer'),
+        goalDepositRow: document.getElementById('goalDepositRow'),
+        goalDepositGoal: document.getElementById('goalDepositGoal'),
+        goalDepositAmount: document.getElementById('goalDepositAmount'),
+        goalDepositBtn: document.getElementById('goalDepositBtn'),
+        goalIcon: document.getElementById('goalIcon'),
+        goalName: document.getElementById('goalName'),
+        goalImage: document.getElementById('goalImage'),
+        goalTarget: document.getElementById('goalTarget'),
+        goalCreateBtn: document.getElementById('goalCreateBtn'),
+        settingGoalInterest: document.getElementById('settingGoalInterest'),
+        settingGoalInterestPeriod: document.getElementById('settingGoalInterestPeriod'),
+        saveGoalInterestBtn: document.getElementById('saveGoalInterestBtn'),
+        allowanceEditorList: document.getElementById('allowanceEditorList'),
+        allowanceEditId: document.getElementById('allowanceEditId'),
+        allowanceEditLabel: document.getElementById('allowanceEditLabel'),
+        allowanceEditAmount: document.getElementById('allowanceEditAmount'),
+        allowanceEditPeriod: document.getElementById('allowanceEditPeriod'),
+        allowanceEditWeekday: document.getElementById('allowanceEditWeekday'),
+        allowanceEditMonthDay: document.getElementById('allowanceEditMonthDay'),
+        allowanceEditSave: document.getElementById('allowanceEditSave'),
+        allowanceEditCancel: document.getElementById('allowanceEditCancel'),
+        storeEditorList: document.getElementById('storeEditorList'),
+        storeEditId: document.getElementById('storeEditId'),
+        storeEditName: document.getElementById('storeEditName'),
+        storeEditPrice: document.getElementById('storeEditPrice'),
+        storeEditStock: document.getElementById('storeEditStock'),
+        storeEditApproval: document.getElementById('storeEditApproval'),
+        storeEditSave: document.getElementById('storeEditSave'),
+        storeEditCancel: document.getElementById('storeEditCancel'),
         showAll: document.getElementById('showAll'),
         showTransactions: document.getElementById('showTransactions'),
         showMissions: document.getElementById('showMissions'),
+        showPurchases: document.getElementById('showPurchases'),
         tabContents: document.getElementById('tabContents'),
         tabButtons: document.querySelectorAll('.tab-btn')
       };
 
-      // missão pool inalterado
+      // categorias usadas no editor de missões
+      const missionCategories = {
+        casa: "Casa", higiene: "Higiene", leitura: "Leitura", escola: "Escola", esporte: "Esporte",
+        fe: "Fé", familia: "Família", pets: "Pipoca", saude: "Saúde", jogos: "Jogos", outros: "Outros"
+      };
+
+      // pool padrão; o responsável pode editar pela Área do Responsável (salvo em migstar_missionPool)
       const missionPool = [
-        { id: 1, title: "Arrumar a cama", reward: 10 },
-        { id: 2, title: "Escovar os dentes", reward: 5 },
-        { id: 3, title: "Ler 10 páginas de Um diário de um Banana", reward: 10 },
-        { id: 4, title: "Fazer 2 gols no futebol", reward: 10 },
-        { id: 5, title: "Ajudar a arrumar a mesa", reward: 5 },
-        { id: 6, title: "Arrumar o quarto", reward: 5 },
-        { id: 7, title: "Arrumar a caminha da Pipoca", reward: 5 },
-        { id: 8, title: "Alimentar a Pipoca", reward: 5 },
-        { id: 9, title: "Rezar um Pai Nosso", reward: 10 },
-        { id: 10, title: "Arrumar a mochila da escola", reward: 5 },
-        { id: 11, title: "Deixar os dentes bem limpinhos", reward: 5 },
-        { id: 12, title: "Dizer para o pai e a mãe 'Te amo'", reward: 10 },
-        { id: 13, title: "Jogar Mario Kart 8 Deluxe", reward: 5 },
-        { id: 14, title: "Agradecer a Deus por tudo", reward: 10 },
-        { id: 15, title: "Jogar Minecraft", reward: 3 },
-        { id: 16, title: "Tirar 10 em uma prova ou lição", reward: 10 },
-        { id: 17, title: "Não fazer sujeira no Jantar", reward: 5 },
-        { id: 18, title: "Fazer uma boa ação", reward: 10 },
-        { id: 19, title: "Ler as noticias do Nintendo Switch", reward: 5 },
-        { id: 20, title: "Ficar vendo muito pouco celular", reward: 5 },
-        { id: 21, title: "Ir para a escola", reward: 5 },
-        { id: 22, title: "Jogar bola com o Gustavo", reward: 5 },
-        { id: 23, title: "Fazer exercícios por 10 minutos", reward: 5 },
-        { id: 24, title: "Estudar alguma coisa", reward: 5 },
-        { id: 25, title: "Faça um desenho", reward: 5 },
-        { id: 26, title: "Faça uma lição no Duolingo", reward: 5 },
-        { id: 27, title: "Jogue uma partida de Trio com o Pai e o Danilo", reward: 50 },
-        { id: 28, title: "Faça uma noite de jogos (APENAS SE FOR UM DIA QUE DÊ, CASO CONTRÁRIO MARQUE COMO FEITO()", reward: 10 },
-        { id: 29, title: "Dirija no City Car Driving Simulator", reward: 10 },
-        { id: 30, title: "Jogue Hellapagos", reward: 15 }
+        { id: 1, title: "Arrumar a cama", reward: 10, category: "casa", icon: "🛏️", enabled: true, schedule: { type: "daily" }, mandatory: true },
+        { id: 2, title: "Escovar os dentes", reward: 5, category: "higiene", icon: "🪥", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 3, title: "Ler 10 páginas de Um diário de um Banana", reward: 10, category: "leitura", icon: "📖", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 4, title: "Fazer 2 gols no futebol", reward: 10, category: "esporte", icon: "⚽", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 5, title: "Ajudar a arrumar a mesa", reward: 5, category: "casa", icon: "🍽️", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 6, title: "Arrumar o quarto", reward: 5, category: "casa", icon: "🧹", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 7, title: "Arrumar a caminha da Pipoca", reward: 5, category: "pets", icon: "🐶", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 8, title: "Alimentar a Pipoca", reward: 5, category: "pets", icon: "🦴", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 9, title: "Rezar um Pai Nosso", reward: 10, category: "fe", icon: "🙏", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 10, title: "Arrumar a mochila da escola", reward: 5, category: "escola", icon: "🎒", enabled: true, schedule: { type: "weekdays", days: [0, 1, 2, 3, 4] }, mandatory: false },
+        { id: 11, title: "Deixar os dentes bem limpinhos", reward: 5, category: "higiene", icon: "🦷", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 12, title: "Dizer para o pai e a mãe 'Te amo'", reward: 10, category: "familia", icon: "❤️", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 13, title: "Jogar Mario Kart 8 Deluxe", reward: 5, category: "jogos", icon: "🏎️", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 14, title: "Agradecer a Deus por tudo", reward: 10, category: "fe", icon: "🙏", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 15, title: "Jogar Minecraft", reward: 3, category: "jogos", icon: "⛏️", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 16, title: "Tirar 10 em uma prova ou lição", reward: 10, category: "escola", icon: "💯", enabled: true, schedule: { type: "weekdays", days: [1, 2, 3, 4, 5] }, mandatory: false, requiresApproval: true },
+        { id: 17, title: "Não fazer sujeira no Jantar", reward: 5, category: "casa", icon: "🍝", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 18, title: "Fazer uma boa ação", reward: 10, category: "familia", icon: "🤝", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 19, title: "Ler as noticias do Nintendo Switch", reward: 5, category: "leitura", icon: "📰", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 20, title: "Ficar vendo muito pouco celular", reward: 5, category: "saude", icon: "📵", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 21, title: "Ir para a escola", reward: 5, category: "escola", icon: "🏫", enabled: true, schedule: { type: "weekdays", days: [1, 2, 3, 4, 5] }, mandatory: false },
+        { id: 22, title: "Jogar bola com o Gustavo", reward: 5, category: "esporte", icon: "⚽", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 23, title: "Fazer exercícios por 10 minutos", reward: 5, category: "esporte", icon: "🏃", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 24, title: "Estudar alguma coisa", reward: 5, category: "escola", icon: "📚", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 25, title: "Faça um desenho", reward: 5, category: "outros", icon: "🎨", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 26, title: "Faça uma lição no Duolingo", reward: 5, category: "escola", icon: "🦉", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 27, title: "Jogue uma partida de Trio com o Pai e o Danilo", reward: 50, category: "familia", icon: "🃏", enabled: true, schedule: { type: "weekly" }, mandatory: false },
+        { id: 28, title: "Faça uma noite de jogos (APENAS SE FOR UM DIA QUE DÊ, CASO CONTRÁRIO MARQUE COMO FEITO()", reward: 10, category: "familia", icon: "🎲", enabled: true, schedule: { type: "weekdays", days: [5, 6] }, mandatory: false },
+        { id: 29, title: "Dirija no City Car Driving Simulator", reward: 10, category: "jogos", icon: "🚗", enabled: true, schedule: { type: "daily" }, mandatory: false },
+        { id: 30, title: "Jogue Hellapagos", reward: 15, category: "jogos", icon: "🏝️", enabled: true, schedule: { type: "daily" }, mandatory: false }
       ];
 
+      // catálogo padrão da Loja Mig Apps (stock null = ilimitado)
+      const storeCatalog = [
+        { id: 1, name: "30 minutos de videogame", price: 30, stock: null, requiresApproval: false },
+        { id: 2, name: "Escolher o filme da noite", price: 40, stock: null, requiresApproval: false },
+        { id: 3, name: "Sorvete no fim de semana", price: 60, stock: 4, requiresApproval: true },
+        { id: 4, name: "Dormir 30 minutos mais tarde", price: 50, stock: null, requiresApproval: true },
+        { id: 5, name: "Figurinha nova do álbum", price: 25, stock: 10, requiresApproval: false },
+        { id: 6, name: "Passeio no parque", price: 100, stock: 2, requiresApproval: true },
+        { id: 7, name: "Jogo novo no Nintendo Switch", price: 500, stock: 1, requiresApproval: true }
+      ];
+
+      // carteira externa do responsável (quem gera os QR no DanStar)
+      const GUARDIAN_NAME = "Danilo Jorge";
+
+      // configurações da família, ajustadas na Área do Responsável (migstar_settings)
+      const defaultSettings = {
+        dailySendLimit: 50,
+        approveAllMissions: false,
+        // o dia do app vira às dayResetHour horas no fuso timeZone (padrão: o do aparelho)
+        timeZone: (Intl.DateTimeFormat().resolvedOptions().timeZone) || 'America/Sao_Paulo',
+        dayResetHour: 0
+      };
+
       // Funções de storage utilitárias (usam window.storage)
       const S = window.storage || window.__mig_storage;
       function sGet(k){ try { return S.getItem(k); } catch(e){ return null; } }
       function sSet(k,v){ try { S.setItem(k,v); } catch(e){ console.warn('storage set falhou',e); } }
       function sRemove(k){ try { S.removeItem(k); } catch(e){} }
 
-      // Load state from storage
+      // ======================================================
+      // === ESQUEMA E MIGRAÇÕES ==============================
+      // ======================================================
+      // cada mudança no formato dos dados salvos ganha uma migração aqui e SCHEMA_VERSION sobe
+      const SCHEMA_VERSION = 4;
+
+      const migrations = [
+        {
+          version: 1,
+          description: "dados sem namespace viram o perfil do Miguel",
+          up() {
+            if (sGet('migstar_profiles') !== null) return;
+            const legacyUser = sGet('migstar_user');
+            if (legacyUser === null) return;
+            let name = "Miguel";
+            try { name = JSON.parse(legacyUser).name || name; } catch (e) {}
+            ['user', 'transactions', 'history', 'todayMissions', 'achievements'].forEach(key => {
+              const legacy = sGet(`migstar_${key}`);
+              if (legacy !== null) {
+                sSet(pKey(key, 'miguel'), legacy);
+                sRemove(`migstar_${key}`);
+              }
+            });
+            sSet('migstar_profiles', JSON.stringify({ activeId: 'miguel', list: [{ id: 'miguel', name, avatar: '🦁' }] }));
+          }
+        },
+        {
+          version: 2,
+          description: "transações usam date (como o histórico) em vez de datetime",
+          up() {
+            S.keys().filter(k => /^migstar_p_.+_transactions$/.test(k)).forEach(key => {
+              let list;
+              try { list = JSON.parse(sGet(key)); } catch (e) { return; } // a validação cuida dela
+              if (!Array.isArray(list)) return;
+              sSet(key, JSON.stringify(list.map(tx => {
+                if (!tx || tx.datetime === undefined) return tx;
+                const { datetime, ...rest } = tx;
+                return Object.assign({ date: datetime }, rest);
+              })));
+            });
+          }
+        },
+        {
+          version: 3,
+          description: "pool de missões salvo com categoria, ícone e agenda",
+          up() {
+            let pool;
+            try { pool = JSON.parse(sGet('migstar_missionPool')); } catch (e) { return; }
+            if (Array.isArray(pool)) sSet('migstar_missionPool', JSON.stringify(pool.map(normalizeMission)));
+          }
+        },
+        {
+          version: 4,
+          description: "saldo, histórico e transações viram um ledger por perfil",
+          up() {
+            S.keys().map(k => k.match(/^migstar_p_(.+)_user$/)).filter(Boolean).forEach(([key, profileId]) => {
+              const user = MigSchema.readJSON(S, key, validators.user);
+              if (!user || sGet(pKey('ledger', profileId)) !== null) return;
+              const history = MigSchema.readJSON(S, pKey('history', profileId), validators.list) || [];
+              // sem a chave ainda, fica sem assinatura até o responsável definir a senha (resignLedgers)
+              sSet(pKey('ledger', profileId), JSON.stringify(MigLedger.fromHistory(history, user.stars, getQRKey())));
+              // as transações só repetiam o que já estava no histórico
+              sRemove(pKey('history', profileId));
+              sRemove(pKey('transactions', profileId));
+            });
+          }
+        }
+      ];
+
+      const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+      const validators = {
+        profiles: v => isObject(v) && Array.isArray(v.list) && v.list.length > 0 && v.list.every(p => isObject(p) && typeof p.id === 'string'),
+        user: v => isObject(v) && Number.isFinite(v.stars) && Array.isArray(v.completedMissionsToday || []),
+        list: v => Array.isArray(v) && v.every(isObject),
+        object: isObject,
+        guardian: v => isObject(v) && typeof v.salt === 'string' && typeof v.hash === 'string'
+      };
+
+      // chaves conhecidas e seu formato; migstar_qrKey e migstar_schemaVersion são texto puro.
+      // migstar_guardian fica de fora de propósito: PIN danificado não vai para a quarentena (ver readGuardian)
+      const keyValidators = [
+        { match: /^migstar_profiles$/, validate: validators.profiles },
+        { match: /^migstar_p_.+_user$/, validate: validators.user },
+        { match: /^migstar_p_.+_(ledger|todayMissions)$/, validate: validators.list },
+        { match: /^migstar_(missionPool|store|quarantine)$/, validate: validators.list },
+        { match: /^migstar_p_.+_achievements$/, validate: validators.object },
+        { match: /^migstar_(settings|usedNonces|pendingTransfer|sync)$/, validate: validators.object }
+      ];
+
+      // roda as migrações pendentes e manda para a quarentena o que não der para ler
+      function prepareStorage() {
+        const result = MigSchema.migrate(S, migrations, SCHEMA_VERSION);
+        if (result.failed) showToast("⚠️ Não deu para atualizar todos os dados salvos", false);
+        const quarantined = MigSchema.validateAll(S, keyValidators);
+        if (quarantined.length) showToast(`⚠️ ${quarantined.length} dado(s) corrompido(s) foram separados e recriados`, false);
+        if (readGuardian().status === 'corrupt') showToast("⚠️ O PIN do responsável está danificado: a área do responsável fica travada até a recuperação", false);
+      }
+
+      // ======================================================
+      // === PERFIS (uma carteira por criança) ================
+      // ======================================================
+      // chaves com namespace por perfil: migstar_p_<id>_<nome>. Pool de missões, loja, PIN e
+      // nonces continuam globais (são da família toda).
+      const PROFILE_KEYS = ['user', 'ledger', 'todayMissions', 'achievements'];
+      const profileAvatars = ['🦁', '🐯', '🐼', '🦊', '🐸', '🐵', '🦄', '🐙', '🐢', '🚀', '⚽', '🎮', '🌟', '🌈'];
+
+      function pKey(name, profileId = state.activeProfileId) { return `migstar_p_${profileId}_${name}`; }
+
+      function loadProfiles() {
+        const data = MigSchema.readJSON(S, 'migstar_profiles', validators.profiles);
+        if (data) {
+          state.profiles = data.list;
+          state.activeProfileId = data.list.some(p => p.id === data.activeId) ? data.activeId : data.list[0].id;
+          return;
+        }
+        // lista ausente (ou foi para a quarentena): refaz a partir das carteiras que existem
+        state.profiles = S.keys()
+          .map(k => k.match(/^migstar_p_(.+)_user$/))
+          .filter(Boolean)
+          .map((match, i) => {
+            const user = MigSchema.readJSON(S, match[0], validators.user);
+            return { id: match[1], name: user ? user.name : "Criança", avatar: profileAvatars[i % profileAvatars.length] };
+          });
+        if (!state.profiles.length) state.profiles = [{ id: 'miguel', name: "Miguel", avatar: '🦁' }];
+        state.activeProfileId = state.profiles[0].id;
+        saveProfiles();
+      }
+
+      function saveProfiles() { sSet('migstar_profiles', JSON.stringify({ activeId: state.activeProfileId, list: state.profiles })); }
+      function activeProfile() { return state.profiles.find(p => p.id === state.activeProfileId); }
+
+      function loadProfileUser(profileId) {
+        return MigSchema.readJSON(S, pKey('user', profileId), validators.user);
+      }
+
+      function switchProfile(profileId) {
+        if (profileId === state.activeProfileId) return;
+        state.activeProfileId = profileId;
+        saveProfiles();
+        loadState();
+        checkNewDay();
+        checkAchievements();
+        renderUI();
+        showToast(`Oi, ${state.user.name}! ${activeProfile().avatar}`);
+      }
+
+      function createProfile(name, avatar) {
+        const profile = { id: 'p' + Date.now().toString(36), name, avatar };
+        state.profiles.push(profile);
+        saveProfiles();
+        sSet(pKey('user', profile.id), JSON.stringify({ name, stars: 0, lastAssignedDate: null, completedMissionsToday: [] }));
+        return profile;
+      }
+
+      function updateProfile(profileId, name, avatar) {
+        const profile = state.profiles.find(p => p.id === profileId);
+        profile.name = name;
+        profile.avatar = avatar;
+        saveProfiles();
+        if (profileId === state.activeProfileId) {
+          state.user.name = name;
+          saveUser();
+        } else {
+          const user = loadProfileUser(profileId);
+          if (user) {
+            user.name = name;
+            sSet(pKey('user', profileId), JSON.stringify(user));
+          }
+        }
+      }
+
+      function removeProfile(profileId) {
+        PROFILE_KEYS.forEach(key => sRemove(pKey(key, profileId)));
+        state.profiles = state.profiles.filter(p => p.id !== profileId);
+        if (profileId === state.activeProfileId) {
+          state.activeProfileId = state.profiles[0].id;
+          saveProfiles();
+          loadState();
+          checkNewDay();
+        } else {
+          saveProfiles();
+        }
+      }
+
+      // Load state from storage (perfil ativo)
       function loadState() {
-        const userRaw = sGet('migstar_user');
-        state.user = userRaw ? JSON.parse(userRaw) : {
-          name: "Miguel",
+        state.settings = Object.assign({}, defaultSettings, MigSchema.readJSON(S, 'migstar_settings', validators.object) || {});
+        state.todayDate = currentDay();
+        const userRaw = MigSchema.readJSON(S, pKey('user'), validators.user);
+        state.user = Object.assign({
+          // quantas missões por dia (weekdays: { '0'..'6': n } sobrescreve o padrão) e bônus por completar o dia
+          dailyMissions: { default: 3, weekdays: {} },
+          dailyBonus: 0,
+          // missões feitas esperando o responsável: as estrelas ficam reservadas, fora do saldo
+          pendingApprovals: [],
+          // mesada e outros créditos agendados (ver creditAllowances)
+          allowances: [],
+          // metas do cofrinho e juros definidos pelo responsável (ver payGoalInterest)
+          goals: [],
+          goalInterest: { rate: 0, period: 'monthly' }
+        }, userRaw || {
+          name: activeProfile().name,
           stars: 50,
           lastAssignedDate: state.todayDate,
           completedMissionsToday: []
-        };
+        });
+        // grava o perfil novo para que outras carteiras possam transferir para ele
+        if (!userRaw) saveUser();
+
+        state.missions = (MigSchema.readJSON(S, 'migstar_missionPool', validators.list) || missionPool).map(normalizeMission);
+        // o saldo salvo em user é só cópia: quem manda é o ledger
+        const ledger = MigSchema.readJSON(S, pKey('ledger'), validators.list);
+        state.ledger = ledger || MigLedger.fromHistory([], state.user.stars, getQRKey());
+        if (!ledger) saveLedger();
+        state.user.stars = MigLedger.balance(state.ledger);
+        state.history = MigLedger.toHistory(state.ledger);
+        state.todayMissions = MigSchema.readJSON(S, pKey('todayMissions'), validators.list) || [];
+        // conquistas desbloqueadas: { id: data }
+        state.achievements = MigSchema.readJSON(S, pKey('achievements'), validators.object) || {};
+        state.store = MigSchema.readJSON(S, 'migstar_store', validators.list) || storeCatalog;
+      }
+
+      // pools salvos antes do editor não têm categoria/ícone/agenda: completa pelo pool padrão
+      function normalizeMission(mission) {
+        const builtin = missionPool.find(m => m.id === mission.id) || {};
+        return Object.assign({
+          category: builtin.category || 'outros',
+          icon: builtin.icon || '⭐',
+          enabled: true,
+          schedule: builtin.schedule || { type: 'daily' },
+          mandatory: builtin.mandatory || false,
+          requiresApproval: builtin.requiresApproval || false
+        }, mission);
+      }
+
+      // ======================================================
+      // === DIAS: FUSO, VIRADA E DIAS PERDIDOS ===============
+      // ======================================================
+      function dayOptions() {
+        return { timeZone: state.settings.timeZone, resetHour: state.settings.dayResetHour };
+      }
+
+      function currentDay() { return MigSchedule.dayKey(Date.now(), dayOptions()); }
+
+      // dia do app de uma data ISO salva (histórico, aprovações...)
+      function dayOf(iso) { return MigSchedule.dayKey(iso, dayOptions()); }
+      function historyDay(item) { return item.day || dayOf(item.date); }
+
+      // quantos dias para trás o app fecha ao abrir depois de muito tempo fechado
+      const MAX_CATCH_UP_DAYS = 62;
+
+      // chamados para cada dia que terminou, em ordem, inclusive os dias em que o app ficou
+      // fechado: hook(dia, { skipped }). É onde entram créditos agendados.
+      const dayHooks = [];
+
+      // fecha o dia: registra no ledger o que foi feito e o que ficou para trás. O id é fixo
+      // por dia, então dois aparelhos fechando o mesmo dia geram a mesma entrada.
+      function closeDay(day, missions, completedIds, skipped) {
+        const id = `day:${day}`;
+        if (state.ledger.some(e => e.id === id)) return;
+        const missed = missions
+          .filter(m => !completedIds.includes(m.id))
+          .map(m => ({ missionId: m.id, title: m.title, reward: m.reward, category: m.category }));
+        postEntry('day_closed', 0, { id, day, missions: missions.length, completed: missions.length - missed.length, missed, skipped });
+      }
+
+      // do último dia aberto até ontem: o último dia usa as missões que a criança viu; os dias
+      // em que o app nem abriu usam o sorteio daquele dia (é determinístico)
+      function processPastDays() {
+        const last = state.user.lastAssignedDate;
+        if (!last || last >= state.todayDate) return;
+        const days = MigSchedule.daysBetween(last, state.todayDate).slice(-MAX_CATCH_UP_DAYS);
+        days.forEach(day => {
+          const opened = day === last;
+          const missions = opened ? state.todayMissions : pickMissions(dailyMissionCount(day), [], day);
+          closeDay(day, missions, opened ? approvedMissionIds() : [], !opened);
+          dayHooks.forEach(hook => hook(day, { skipped: !opened }));
+        });
+      }
+
+      // ======================================================
+      // === MESADA: CRÉDITOS AGENDADOS =======================
+      // ======================================================
+      // state.user.allowances: [{ id, label, amount, period, weekday, monthDay, since }], com a
+      // agenda no formato de MigSchedule.isCreditDue. Paga no máximo uma vez por período: o id da
+      // entrada é fixo (crédito + período), então reabrir o app ou sincronizar não paga de novo.
+      function creditAllowances(day) {
+        state.user.allowances.forEach(allowance => {
+          if (day < allowance.since || !MigSchedule.isCreditDue(allowance, day)) return;
+          const id = `allowance:${allowance.id}:${MigSchedule.periodKey(allowance.period, day)}`;
+          if (state.ledger.some(e => e.id === id)) return;
+          postEntry('allowance', allowance.amount, { id, allowanceId: allowance.id, label: allowance.label, amount: allowance.amount, period: allowance.period, day });
+          showToast(`💰 ${allowance.label}: +${allowance.amount} estrelas!`);
+        });
+      }
+
+      // dias em que o app ficou fechado também pagam
+      dayHooks.push(day => creditAllowances(day));
+
+      // ======================================================
+      // === COFRINHO: METAS DE ECONOMIA ======================
+      // ======================================================
+      // state.user.goals: [{ id, name, icon, image, target, createdAt }], image é opcional (data URL
+      // de uma foto reduzida; sem ela a meta mostra o icon). Guardar é uma entrada goal_deposit
+      // com delta negativo: as estrelas saem do saldo gastável e ficam presas na meta. Os juros
+      // (goal_interest, delta 0) entram direto na meta; só goal_withdraw devolve estrelas ao saldo.
+      function goalBalance(goalId) {
+        return state.ledger.reduce((sum, e) => {
+          if (e.goalId !== goalId) return sum;
+          if (e.type === 'goal_deposit' || e.type === 'goal_interest') return sum + e.amount;
+          if (e.type === 'goal_withdraw') return sum - e.amount;
+          return sum;
+        }, 0);
+      }
+
+      function lockedStars() {
+        return state.user.goals.reduce((sum, goal) => sum + goalBalance(goal.id), 0);
+      }
+
+      // juros sobre o que está guardado, uma vez por período (toda segunda ou todo dia 1º)
+      function payGoalInterest(day) {
+        const { rate, period } = state.user.goalInterest;
+        if (!rate || !MigSchedule.isCreditDue({ period, weekday: 1, monthDay: 1 }, day)) return;
+        state.user.goals.forEach(goal => {
+          const id = `interest:${goal.id}:${MigSchedule.periodKey(period, day)}`;
+          const amount = Math.floor(goalBalance(goal.id) * rate / 100);
+          if (amount <= 0 || state.ledger.some(e => e.id === id)) return;
+          postEntry('goal_interest', 0, { id, goalId: goal.id, name: goal.name, amount, rate, day });
+          showToast(`📈 ${goal.name} rendeu ${amount} estrelas!`);
+        });
+      }
+
+      dayHooks.push(day => payGoalInterest(day));
+
+      // a foto vai junto com o perfil no storage: reduz para no máximo GOAL_IMAGE_SIZE px e JPEG
+      const GOAL_IMAGE_SIZE = 160;
+
+      function readGoalImage(file) {
+        return new Promise((resolve, reject) => {
+          const url = URL.createObjectURL(file);
+          const img = new Image();
+          img.onload = () => {
+            const scale = Math.min(1, GOAL_IMAGE_SIZE / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            resolve(canvas.toDataURL('image/jpeg', 0.8));
+          };
+          img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error("Não deu para abrir essa imagem!"));
+          };
+          img.src = url;
+        });
+      }
+
+      async function createGoal() {
+        const name = elements.goalName.value.trim();
+        const target = parseInt(elements.goalTarget.value);
+        if (!name) return showToast("Escreva o que você quer juntar!", false);
+        if (isNaN(target) || target <= 0) return showToast("Quantas estrelas custa a meta?", false);
+        const goal = { id: 'g' + Date.now().toString(36), name, icon: elements.goalIcon.value.trim() || '🎯', target, createdAt: new Date().toISOString() };
+        const file = elements.goalImage.files[0];
+        if (file) {
+          try {
+            goal.image = await readGoalImage(file);
+          } catch (e) {
+            return showToast(e.message, false);
+          }
+        }
+        state.user.goals.push(goal);
+        saveUser();
+        [elements.goalName, elements.goalTarget, elements.goalIcon, elements.goalImage].forEach(input => { input.value = ''; });
+        renderGoals();
+        elements.goalDepositGoal.value = goal.id;
+        showToast(`${goal.icon} Meta "${name}" criada!`);
+      }
 
-        const missionPoolRaw = sGet('migstar_missionPool');
-        state.missions = missionPoolRaw ? JSON.parse(missionPoolRaw) : missionPool;
+      function depositToGoal() {
+        const goal = state.user.goals.find(g => g.id === elements.goalDepositGoal.value);
+        const amount = parseInt(elements.goalDepositAmount.value);
+        if (!goal) return showToast("Crie uma meta primeiro!", false);
+        if (isNaN(amount) || amount <= 0) return showToast("Digite quantas estrelas guardar!", false);
+        if (amount > state.user.stars) return showToast("Você não tem estrelas suficientes!", false);
+        const missing = goal.target - goalBalance(goal.id);
+        if (amount > missing) return showToast(`Faltam só ${missing} estrelas para "${goal.name}"!`, false);
+        postEntry('goal_deposit', -amount, { goalId: goal.id, name: goal.name, amount });
+        elements.goalDepositAmount.value = '';
+        updateBalance(state.user.stars);
+        renderDashboard();
+        renderHistory();
+        showToast(amount === missing ? `🎉 Você juntou tudo para "${goal.name}"!` : `🐷 ${amount} estrelas guardadas para "${goal.name}"!`);
+      }
 
-        const txRaw = sGet('migstar_transactions');
-        state.transactions = txRaw ? JSON.parse(txRaw) : [];
+      // reason: 'reached' (meta cumprida, a criança usa) ou 'broken' (o responsável libera antes)
+      function closeGoal(goal, reason) {
+        const amount = goalBalance(goal.id);
+        if (amount > 0) postEntry('goal_withdraw', amount, { goalId: goal.id, name: goal.name, amount, reason });
+        state.user.goals = state.user.goals.filter(g => g.id !== goal.id);
+        saveUser();
+        updateBalance(state.user.stars);
+        renderDashboard();
+        renderHistory();
+        if (amount > 0) showToast(`${goal.icon} ${amount} estrelas de "${goal.name}" voltaram para o saldo!`);
+      }
 
-        const historyRaw = sGet('migstar_history');
-        state.history = historyRaw ? JSON.parse(historyRaw) : [];
+      function renderGoals() {
+        const locked = lockedStars();
+        elements.goalsLocked.textContent = locked ? `🔒 ${locked} ${STAR_SYMBOL} guardadas` : '';
+        elements.goalDepositRow.classList.toggle('hidden', state.user.goals.length === 0);
+        const selected = elements.goalDepositGoal.value;
+        elements.goalDepositGoal.innerHTML = state.user.goals.map(g => `<option value="${g.id}">${escapeHTML(g.icon)} ${escapeHTML(g.name)}</option>`).join('');
+        if (state.user.goals.some(g => g.id === selected)) elements.goalDepositGoal.value = selected;
+        const container = elements.goalsContainer;
+        if (state.user.goals.length === 0) {
+          container.innerHTML = '<p class="text-sm text-blue-500">Junte estrelas para algo grande: crie uma meta!</p>';
+          return;
+        }
+        container.innerHTML = state.user.goals.map(goal => {
+          const saved = goalBalance(goal.id);
+          const reached = saved >= goal.target;
+          const action = reached
+            ? `<button class="goal-use text-green-600 font-medium" data-id="${goal.id}">Usar</button>`
+            : (saved > 0
+              ? `<button class="goal-break text-gray-500" data-id="${goal.id}">Liberar</button>`
+              : `<button class="goal-remove text-red-500" data-id="${goal.id}">Remover</button>`);
+          return `<div>
+              <div class="flex justify-between items-center text-sm mb-1">
+                <span class="font-medium text-blue-600 flex items-center">${goal.image ? `<img class="goal-image w-8 h-8 rounded object-cover mr-1" data-id="${goal.id}" alt="">` : escapeHTML(goal.icon)} ${escapeHTML(goal.name)}</span>
+                <span class="text-blue-500">${saved} / ${goal.target} ${STAR_SYMBOL} · ${action}</span>
+              </div>
+              <div class="w-full bg-blue-200 rounded-full h-3">
+                <div class="${reached ? 'bg-green-500' : 'bg-blue-600'} h-3 rounded-full" style="width: ${Math.min(100, saved / goal.target * 100)}%"></div>
+              </div>
+            </div>`;
+        }).join('');
+        const goalFrom = btn => state.user.goals.find(g => g.id === btn.getAttribute('data-id'));
+        // a foto entra pelo src, nunca no HTML
+        container.querySelectorAll('.goal-image').forEach(img => {
+          const goal = goalFrom(img);
+          if (/^data:image\//.test(goal.image)) img.src = goal.image;
+        });
+        container.querySelectorAll('.goal-use').forEach(btn => {
+          btn.addEventListener('click', (e) => closeGoal(goalFrom(e.currentTarget), 'reached'));
+        });
+        // tirar antes de completar a meta precisa do responsável
+        container.querySelectorAll('.goal-break').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            const goal = goalFrom(e.currentTarget);
+            requireGuardian(() => closeGoal(goal, 'broken'));
+          });
+        });
+        container.querySelectorAll('.goal-remove').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            const goal = goalFrom(e.currentTarget);
+            if (confirm(`Remover a meta "${goal.name}"?`)) closeGoal(goal, 'removed');
+          });
+        });
+      }
 
-        const todayRaw = sGet('migstar_todayMissions');
-        state.todayMissions = todayRaw ? JSON.parse(todayRaw) : [];
+      // chamado a cada minuto e quando o app volta para a tela
+      function rollDay(announce = true) {
+        const today = currentDay();
+        if (today === state.todayDate) return false;
+        const isNewDay = today > state.todayDate;
+        state.todayDate = today;
+        // antes de checkNewDay, para o aviso de mesada paga aparecer por cima
+        if (announce && isNewDay) showToast("🎉 Novas missões do dia foram liberadas!");
+        checkNewDay();
+        renderUI();
+        return true;
       }
 
       function checkNewDay() {
+        // o fuso ou a hora de virada mudou e "hoje" voltou: continua o mesmo dia, sem sortear de novo
+        if (state.user.lastAssignedDate && state.user.lastAssignedDate > state.todayDate) {
+          state.user.lastAssignedDate = state.todayDate;
+          saveUser();
+        }
         if (state.user.lastAssignedDate !== state.todayDate) {
+          processPastDays();
+          expireApprovals();
+          state.user.completedMissionsToday = [];
           assignDailyMissions();
           state.user.lastAssignedDate = state.todayDate;
-          state.user.completedMissionsToday = [];
           saveUser();
         } else if (state.todayMissions.length === 0) {
           assignDailyMissions();
         }
+        creditAllowances(state.todayDate);
+        payGoalInterest(state.todayDate);
+      }
+
+      // missões semanais já feitas nesta semana (segunda a domingo)
+      function completedThisWeek(date = state.todayDate) {
+        const start = MigSchedule.weekStart(date);
+        return state.history
+          .filter(h => h.type === 'mission' && h.missionId && historyDay(h) >= start && historyDay(h) <= date)
+          .map(h => h.missionId);
+      }
+
+      // obrigatórias elegíveis + sorteio com semente (data + perfil) até completar count
+      function pickMissions(count, excludeIds, date = state.todayDate) {
+        return MigSchedule.pickDailyMissions(state.missions, {
+          date,
+          count,
+          seed: `${date}:${state.activeProfileId}`,
+          exclude: excludeIds,
+          completedThisWeek: completedThisWeek(date)
+        });
+      }
+
+      function dailyMissionCount(date = state.todayDate) {
+        const config = state.user.dailyMissions;
+        const override = config.weekdays[MigSchedule.weekdayOf(date)];
+        return Number.isInteger(override) ? override : config.default;
       }
 
       function assignDailyMissions() {
-        const availableMissions = state.missions.filter(m => !state.user.completedMissionsToday.includes(m.id));
-        const shuffled = [...availableMissions].sort(()=>0.5 - Math.random());
-        state.todayMissions = shuffled.slice(0,3);
-        sSet('migstar_todayMissions', JSON.stringify(state.todayMissions));
+        state.todayMissions = pickMissions(dailyMissionCount(), state.user.completedMissionsToday);
+        saveTodayMissions();
+      }
+
+      // depois de editar o pool: missões pendentes de hoje pegam os dados novos, as removidas,
+      // desativadas ou fora da agenda saem, obrigatórias novas entram e o dia é completado
+      // pelo sorteio. As já feitas ficam como estão.
+      function reconcileTodayMissions() {
+        const completed = state.user.completedMissionsToday;
+        const weekDone = completedThisWeek();
+        state.todayMissions = state.todayMissions
+          .map(today => {
+            if (completed.includes(today.id) || today.assigned) return today;
+            const current = state.missions.find(m => m.id === today.id);
+            const stillValid = current && current.enabled && MigSchedule.isEligible(current, state.todayDate, { completedThisWeek: weekDone });
+            return stillValid ? Object.assign({}, current) : null;
+          })
+          .filter(Boolean);
+        // se a quantidade diminuiu, saem primeiro as sorteadas ainda não feitas
+        let extra = state.todayMissions.length - dailyMissionCount();
+        for (let i = state.todayMissions.length - 1; i >= 0 && extra > 0; i--) {
+          const today = state.todayMissions[i];
+          if (!completed.includes(today.id) && !today.mandatory && !today.assigned) {
+            state.todayMissions.splice(i, 1);
+            extra--;
+          }
+        }
+        const excludeIds = completed.concat(state.todayMissions.map(m => m.id));
+        const missing = Math.max(0, dailyMissionCount() - state.todayMissions.length);
+        state.todayMissions = state.todayMissions.concat(pickMissions(missing, excludeIds));
+        saveTodayMissions();
+      }
+
+      // missão extra vinda de um QR: vale só hoje e só para esta criança, fora do pool.
+      // O id sai do nonce do QR (cada QR é lido uma vez só), então cada missão extra é uma missão
+      // diferente no histórico e nas estatísticas; negativo para não colidir com o pool (que começa em 1).
+      function assignQRMission(data, nonce) {
+        const mission = {
+          id: -1 - (parseInt(MigLedger.sha256(`qr:${nonce}`).slice(0, 8), 16) & 0x7fffffff),
+          title: data.title,
+          reward: data.reward,
+          icon: data.icon || '⭐',
+          category: missionCategories[data.category] ? data.category : 'outros',
+          assigned: true
+        };
+        state.todayMissions.push(mission);
+        saveTodayMissions();
+        return mission;
       }
 
-      function saveUser() { sSet('migstar_user', JSON.stringify(state.user)); }
-      function saveTransactions() { sSet('migstar_transactions', JSON.stringify(state.transactions)); }
-      function saveHistory() { sSet('migstar_history', JSON.stringify(state.history)); }
+      function saveUser() { sSet(pKey('user'), JSON.stringify(state.user)); }
+      function saveLedger() { sSet(pKey('ledger'), JSON.stringify(state.ledger)); }
+      function saveAchievements() { sSet(pKey('achievements'), JSON.stringify(state.achievements)); }
       function saveMissionPool() { sSet('migstar_missionPool', JSON.stringify(state.missions)); }
+      function saveTodayMissions() { sSet(pKey('todayMissions'), JSON.stringify(state.todayMissions)); }
+      function saveStore() { sSet('migstar_store', JSON.stringify(state.store)); }
+      function saveSettings() { sSet('migstar_settings', JSON.stringify(state.settings)); }
+
+      // toda mudança de saldo vira uma entrada no ledger (uma única gravação), assinada com a chave
+      // da família; saldo e histórico são recalculados a partir dele e a cópia do saldo em user é
+      // atualizada depois
+      function postEntry(type, delta, fields = {}) {
+        const entry = MigLedger.append(state.ledger, Object.assign({ type, delta, date: new Date().toISOString() }, fields), getQRKey());
+        saveLedger();
+        queueSync(state.activeProfileId, entry.id);
+        state.user.stars = MigLedger.balance(state.ledger);
+        state.history = MigLedger.toHistory(state.ledger);
+        saveUser();
+        checkAchievements();
+      }
+
+      // QR assinados (formato em qrprotocol.js): chave HMAC derivada da senha combinada com o DanStar
+      const QR_NONCE_GRACE = 24 * 60 * 60 * 1000;
+      const QR_TRANSFER_VALIDITY = 15 * 60;
+
+      // chave da mesma senha que o responsável digita no DanStar, ou null enquanto ele não definiu
+      function getQRKey() {
+        return sGet('migstar_qrKey') || null;
+      }
+
+      const MISSING_QR_KEY = "O responsável ainda não definiu a senha do DanStar neste aparelho.";
+
+      // nonces já usados: { nonce: expiração }. Expirados são descartados depois de uma folga,
+      // já que um QR vencido é recusado de qualquer jeito.
+      function loadUsedNonces() {
+        const used = MigSchema.readJSON(S, 'migstar_usedNonces', validators.object) || {};
+        const now = Date.now();
+        Object.keys(used).forEach(n => { if (used[n] + QR_NONCE_GRACE < now) delete used[n]; });
+        return used;
+      }
+
+      function markNonceUsed(nonce, exp) {
+        const used = loadUsedNonces();
+        used[nonce] = exp;
+        sSet('migstar_usedNonces', JSON.stringify(used));
+      }
+
+      // { ok, type, data, nonce, exp } ou { ok: false, message } com o motivo exato da recusa
+      async function decodeQR(text) {
+        const key = getQRKey();
+        if (!key) return { ok: false, message: MISSING_QR_KEY };
+        const used = loadUsedNonces();
+        return MigQR.decode(text, { key, isNonceUsed: nonce => used.hasOwnProperty(nonce) });
+      }
+
+      // onde o service worker deixa a imagem compartilhada com o app (mesmo nome em sw.js)
+      const SHARE_CACHE = 'migstar-share';
+
+      // QR em uma foto: reduz para no máximo QR_IMAGE_MAX px no lado maior antes do jsQR
+      // (foto de celular inteira é lenta demais) e tenta também com cores invertidas
+      const QR_IMAGE_MAX = 1024;
+
+      async function decodeQRImage(blob) {
+        const url = URL.createObjectURL(blob);
+        try {
+          const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error("imagem inválida"));
+            img.src = url;
+          });
+          const scale = Math.min(1, QR_IMAGE_MAX / Math.max(image.naturalWidth, image.naturalHeight));
+          const canvas = document.createElement("canvas");
+          canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+          canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+          const ctx = canvas.getContext("2d");
+          ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+          const frame = ctx.getImageData(0, 0, canvas.width, canvas.height);
+          const qr = jsQR(frame.data, canvas.width, canvas.height, { inversionAttempts: "attemptBoth" });
+          return qr ? qr.data : null;
+        } finally {
+          URL.revokeObjectURL(url);
+        }
+      }
+
+      // QR pronto (texto do MigQR) no modal, com uma legenda embaixo
+      function showQRText(text, caption) {
+        elements.qrCodeArea.innerHTML = "";
+        elements.qrViewfinder.classList.add("hidden");
+        const canvas = document.createElement("canvas");
+        QRCode.toCanvas(canvas, text, { width: 250, errorCorrectionLevel: "M" }, err => {
+          if (err) return showToast("Não foi possível gerar o QR Code.", false);
+          elements.qrCodeArea.appendChild(canvas);
+          if (caption) {
+            const legend = document.createElement("p");
+            legend.className = "text-sm text-blue-500 mt-2";
+            legend.textContent = caption;
+            elements.qrCodeArea.appendChild(legend);
+          }
+        });
+        elements.qrModal.classList.remove("hidden");
+      }
+
+      // ======================================================
+      // === PEDIDOS DE ESTRELAS ==============================
+      // ======================================================
+      // o pedido é uma entrada de delta 0 no ledger; o pagamento é a transação com o mesmo
+      // requestId. Assim o status sai do próprio ledger e viaja junto na sincronização.
+      const PAYMENT_REQUEST_VALIDITY = 24 * 60 * 60 * 1000;
+
+      function paymentRequests() {
+        const payments = new Map(state.ledger.filter(e => e.type === 'transaction' && e.requestId).map(e => [e.requestId, e]));
+        const now = Date.now();
+        return state.ledger.filter(e => e.type === 'payment_request').map(request => {
+          const payment = payments.get(request.requestId) || null;
+          return { request, payment, expired: !payment && new Date(request.date).getTime() + PAYMENT_REQUEST_VALIDITY < now };
+        });
+      }
+
+      function pendingPaymentRequests() {
+        return paymentRequests().filter(r => !r.payment && !r.expired).map(r => r.request);
+      }
+
+      function createPaymentRequest() {
+        const amount = parseInt(elements.requestAmount.value);
+        const memo = elements.requestMemo.value.trim();
+        if (isNaN(amount) || amount <= 0) return showToast("Digite quantas estrelas quer pedir!", false);
+        if (!memo) return showToast("Conte para o responsável o motivo do pedido!", false);
+        const requestId = MigCrypto.randomNonce(6);
+        postEntry('payment_request', 0, { requestId, amount, memo });
+        elements.requestAmount.value = '';
+        elements.requestMemo.value = '';
+        renderPaymentRequests();
+        renderHistory();
+        showPaymentRequestQR(requestId);
+      }
+
+      // o QR vale até o pedido expirar; cada vez que é mostrado ganha um nonce novo
+      async function showPaymentRequestQR(requestId) {
+        const request = pendingPaymentRequests().find(r => r.requestId === requestId);
+        if (!request) return showToast("Esse pedido não está mais pendente.", false);
+        if (!getQRKey()) return showToast(MISSING_QR_KEY, false);
+        const remaining = Math.floor((new Date(request.date).getTime() + PAYMENT_REQUEST_VALIDITY - Date.now()) / 1000);
+        const text = await MigQR.encode('paymentRequest', {
+          requestId,
+          amount: request.amount,
+          profileId: state.activeProfileId,
+          name: state.user.name,
+          memo: request.memo
+        }, getQRKey(), { validity: remaining });
+        showQRText(text, `Pedido de ${request.amount} ${STAR_SYMBOL}: mostre para o responsável ler no DanStar`);
+      }
+
+      // devolve a mensagem de erro, ou null se o pagamento corresponde a um pedido pendente
+      function paymentMatchError(data) {
+        if (data.profileId && data.profileId !== state.activeProfileId) {
+          const owner = state.profiles.find(p => p.id === data.profileId);
+          return `Esse pagamento é para ${owner ? owner.name : 'outra criança'}.`;
+        }
+        const match = paymentRequests().find(r => r.request.requestId === data.requestId);
+        if (!match) return "Esse pagamento é de um pedido que não existe neste aparelho.";
+        if (match.payment) return "Esse pedido já foi pago!";
+        if (match.request.amount !== data.amount) return "O valor do pagamento não confere com o pedido.";
+        return null;
+      }
+
+      function renderPaymentRequests() {
+        const pending = pendingPaymentRequests();
+        const container = elements.paymentRequestsList;
+        container.innerHTML = pending.length ? '' : '<p class="text-sm text-blue-500">Nenhum pedido esperando.</p>';
+        pending.forEach(request => {
+          const row = document.createElement('div');
+          row.className = 'flex justify-between items-center p-3 rounded-lg bg-blue-50';
+          row.innerHTML = `
+            <div>
+              <p class="font-medium text-blue-600">${request.amount} ${STAR_SYMBOL} · ${escapeHTML(request.memo)}</p>
+              <p class="text-sm text-blue-500">⏳ ${new Date(request.date).toLocaleString()}</p>
+            </div>
+            <button class="request-qr-btn bg-purple-100 text-purple-600 rounded-lg px-3 py-1" data-id="${request.requestId}">QR</button>`;
+          container.appendChild(row);
+        });
+        container.querySelectorAll('.request-qr-btn').forEach(btn => {
+          btn.addEventListener('click', e => showPaymentRequestQR(e.currentTarget.getAttribute('data-id')));
+        });
+      }
 
       function updateBalance(newBalance) {
         const balanceElement = elements.userBalance;
@@ -425,6 +1479,11 @@
         }, 50);
       }
 
+      // texto digitado por alguém (nome, título, recado...) antes de entrar num innerHTML
+      function escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+      }
+
       function showToast(message, isSuccess = true) {
         const toast = elements.toast;
         toast.textContent = message;
@@ -440,76 +1499,442 @@
           showToast("Missão já completada hoje!", false);
           return;
         }
-        state.user.stars += mission.reward;
+        if (mission.requiresApproval || state.settings.approveAllMissions) {
+          submitForApproval(mission);
+          return;
+        }
         state.user.completedMissionsToday.push(missionId);
-        saveUser();
-        const historyItem = { type:'mission', title: mission.title, reward: mission.reward, date: new Date().toISOString() };
-        state.history.unshift(historyItem);
-        saveHistory();
+        postEntry('mission', mission.reward, { missionId: mission.id, category: mission.category, title: mission.title, reward: mission.reward });
         updateBalance(state.user.stars);
         showToast(`+${mission.reward} estrelas por "${mission.title}"!`);
+        checkDailyCompletion();
         renderMissions();
+        renderStore();
         renderDashboard();
       }
 
-      function receiveStars(amount) {
-        amount = parseInt(amount);
-        if (isNaN(amount) || amount <= 0) {
-          showToast("Quantidade inválida!", false);
-          return false;
-        }
-        state.user.stars += amount;
-        saveUser();
-        const transaction = { from: "Danilo Jorge", to: state.user.name, amount: amount, datetime: new Date().toISOString() };
-        state.transactions.unshift(transaction);
-        saveTransactions();
-        const historyItem = { type: 'transaction', from: transaction.from, to: transaction.to, amount: transaction.amount, date: transaction.datetime };
-        state.history.unshift(historyItem);
-        saveHistory();
-        updateBalance(state.user.stars);
-        showToast(`Recebeu ${amount} estrelas de Danilo Jorge!`);
-        renderDashboard();
-        return true;
+      // ======================================================
+      // === APROVAÇÃO DE MISSÕES =============================
+      // ======================================================
+      // só as de hoje: as de dias anteriores vencem na virada do dia (expireApprovals), mas um
+      // perfil que ainda não abriu hoje pode ter alguma guardada
+      function openApprovals(user) {
+        return (user.pendingApprovals || []).filter(p => dayOf(p.date) === state.todayDate);
       }
 
-      function renderUI() { renderDashboard(); renderMissions(); renderHistory('all'); }
+      function isPendingApproval(missionId) {
+        return openApprovals(state.user).some(p => p.missionId === missionId);
+      }
 
-      function renderDashboard(){
-        elements.userBalance.textContent = state.user.stars;
-        elements.userName.textContent = state.user.name;
-        const completedCount = state.user.completedMissionsToday.length;
-        const progress = (completedCount/3)*100;
-        elements.missionProgress.style.width = `${progress}%`;
-        elements.completedMissionsCount.textContent = completedCount;
-        const lastTransaction = state.transactions[0];
-        if (lastTransaction) {
-          elements.lastTransaction.innerHTML = `<p>De: ${lastTransaction.from}</p><p>Valor: ${lastTransaction.amount} ${STAR_SYMBOL}</p><p class="text-sm">${new Date(lastTransaction.datetime).toLocaleString()}</p>`;
-        } else elements.lastTransaction.innerHTML = 'Nenhuma transação ainda';
-        const lastMission = state.history.find(item => item.type === 'mission');
-        if (lastMission) {
-          elements.lastMission.innerHTML = `<p>${lastMission.title}</p><p>Ganhou: ${lastMission.reward} ${STAR_SYMBOL}</p><p class="text-sm">${new Date(lastMission.date).toLocaleString()}</p>`;
-        } else elements.lastMission.innerHTML = 'Nenhuma missão completada ainda';
+      function reservedStars() {
+        return openApprovals(state.user).reduce((sum, p) => sum + p.reward, 0);
       }
 
-      function renderMissions(){
-        const container = elements.missionsContainer;
-        container.innerHTML = '';
-        if (state.todayMissions.length === 0) {
-          container.innerHTML = '<p class="text-blue-500">Nenhuma missão para hoje.</p>';
-          return;
+      // missões marcadas hoje que não estão esperando o responsável (as que valem no fim do dia)
+      function approvedMissionIds() {
+        return state.user.completedMissionsToday.filter(id => !state.user.pendingApprovals.some(p => p.missionId === id));
+      }
+
+      // o dia acabou sem o responsável decidir: a missão fica como não aprovada
+      function expireApprovals() {
+        const expired = state.user.pendingApprovals.filter(p => dayOf(p.date) < state.todayDate);
+        if (!expired.length) return;
+        state.user.pendingApprovals = state.user.pendingApprovals.filter(p => !expired.includes(p));
+        expired.forEach(p => postEntry('mission_rejected', 0, { missionId: p.missionId, title: p.title, reward: p.reward, submittedAt: p.date, expired: true }));
+      }
+
+      function submitForApproval(mission) {
+        state.user.completedMissionsToday.push(mission.id);
+        state.user.pendingApprovals.push({
+          id: 'a' + Date.now().toString(36),
+          missionId: mission.id,
+          category: mission.category,
+          title: mission.title,
+          reward: mission.reward,
+          date: new Date().toISOString()
+        });
+        saveUser();
+        showToast(`⏳ "${mission.title}" foi para aprovação do responsável!`);
+        renderMissions();
+        renderDashboard();
+        renderApprovalQueue();
+      }
+
+      // o responsável aprova (credita e registra a missão) ou rejeita (a missão volta a ficar pendente).
+      // A fila mostra todas as crianças: a decisão roda com o perfil da missão carregado
+      function decideApproval(profileId, approvalId, approved) {
+        if (profileId !== state.activeProfileId) return asProfile(profileId, () => decideApproval(profileId, approvalId, approved));
+        const pending = state.user.pendingApprovals.find(p => p.id === approvalId);
+        if (!pending) return;
+        state.user.pendingApprovals = state.user.pendingApprovals.filter(p => p.id !== approvalId);
+        if (approved) {
+          postEntry('mission', pending.reward, { missionId: pending.missionId, category: pending.category, title: pending.title, reward: pending.reward, approved: true, submittedAt: pending.date });
+        } else {
+          state.user.completedMissionsToday = state.user.completedMissionsToday.filter(id => id !== pending.missionId);
+          postEntry('mission_rejected', 0, { missionId: pending.missionId, title: pending.title, reward: pending.reward, submittedAt: pending.date });
+        }
+        updateBalance(state.user.stars);
+        if (approved) checkDailyCompletion();
+        renderMissions();
+        renderStore();
+        renderDashboard();
+        renderApprovalQueue();
+        showToast(approved ? `"${pending.title}" aprovada! +${pending.reward} estrelas para ${state.user.name}.` : `"${pending.title}" rejeitada.`, approved);
+      }
+
+      // carrega outro perfil em state, roda fn e volta para o perfil da tela
+      function asProfile(profileId, fn) {
+        const active = state.activeProfileId;
+        state.activeProfileId = profileId;
+        loadState();
+        try {
+          fn();
+        } finally {
+          state.activeProfileId = active;
+          loadState();
+          renderUI();
+          renderApprovalQueue();
+          renderProfileOverview();
+        }
+      }
+
+      function renderApprovalQueue() {
+        const queue = elements.approvalQueue;
+        const items = state.profiles.flatMap(profile => {
+          const user = profile.id === state.activeProfileId ? state.user : loadProfileUser(profile.id);
+          return user ? openApprovals(user).map(p => ({ profile, p })) : [];
+        });
+        if (items.length === 0) {
+          queue.innerHTML = '<p class="text-sm text-blue-500">Nenhuma missão esperando aprovação.</p>';
+          return;
+        }
+        queue.innerHTML = items.map(({ profile, p }) => `
+          <div class="flex items-center justify-between p-2 rounded-lg border border-yellow-200 bg-yellow-50">
+            <div class="text-sm">
+              <p class="font-medium">${escapeHTML(profile.avatar)} ${escapeHTML(profile.name)}: ${escapeHTML(p.title)}</p>
+              <p class="text-yellow-600">${p.reward} ${STAR_SYMBOL} · ${new Date(p.date).toLocaleString()}</p>
+            </div>
+            <div class="flex space-x-1">
+              <button class="approval-btn bg-green-100 text-green-600 rounded-lg px-2 py-1 text-sm" data-profile="${profile.id}" data-id="${p.id}" data-approved="1">Aprovar</button>
+              <button class="approval-btn bg-red-100 text-red-600 rounded-lg px-2 py-1 text-sm" data-profile="${profile.id}" data-id="${p.id}" data-approved="0">Rejeitar</button>
+            </div>
+          </div>`).join('');
+        queue.querySelectorAll('.approval-btn').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            const target = e.currentTarget;
+            decideApproval(target.getAttribute('data-profile'), target.getAttribute('data-id'), target.getAttribute('data-approved') === '1');
+          });
+        });
+      }
+
+      // completou todas as missões do dia (aprovadas): registra o dia (uma vez) e paga o bônus configurado
+      function checkDailyCompletion() {
+        const allDone = state.todayMissions.length > 0 && state.todayMissions.every(m => state.user.completedMissionsToday.includes(m.id) && !isPendingApproval(m.id));
+        if (!allDone || state.user.dailyCompletedDate === state.todayDate) return;
+        const bonus = state.user.dailyBonus;
+        state.user.dailyCompletedDate = state.todayDate;
+        // sem bônus a entrada fica com delta 0: é ela que marca o dia na sequência
+        postEntry('daily_bonus', bonus, { reward: bonus, missions: state.todayMissions.length, day: state.todayDate });
+        updateBalance(state.user.stars);
+        showToast(bonus > 0 ? `🎉 Todas as missões do dia! +${bonus} estrelas de bônus!` : "🎉 Todas as missões do dia completadas!");
+        checkStreakMilestone();
+      }
+
+      // ======================================================
+      // === SEQUÊNCIAS E CONQUISTAS ==========================
+      // ======================================================
+      // paga o bônus de 7/30 dias seguidos uma única vez por sequência (identificada pelo dia em que começou)
+      function checkStreakMilestone() {
+        const streak = MigAchievements.computeStreak(state.history, state.todayDate, historyDay);
+        const milestone = MigAchievements.STREAK_MILESTONES.find(m => m.days === streak.current);
+        if (!milestone) return;
+        if (state.history.some(h => h.type === 'streak_bonus' && h.streak === milestone.days && h.streakStart === streak.start)) return;
+        postEntry('streak_bonus', milestone.reward, { streak: milestone.days, streakStart: streak.start, reward: milestone.reward });
+        updateBalance(state.user.stars);
+        setTimeout(()=> showToast(`🔥 ${milestone.days} dias seguidos! +${milestone.reward} estrelas!`), 3000);
+      }
+
+      // missões antigas do histórico não guardavam a categoria: procura no pool
+      function categoryOfHistoryItem(item) {
+        const mission = state.missions.find(m => m.id === item.missionId || m.title === item.title);
+        return mission ? mission.category : null;
+      }
+
+      function checkAchievements() {
+        const unlocked = MigAchievements.evaluate(state.history, state.achievements, { today: state.todayDate, categoryOf: categoryOfHistoryItem, dayOf: historyDay });
+        if (unlocked.length === 0) return;
+        unlocked.forEach(def => { state.achievements[def.id] = new Date().toISOString(); });
+        saveAchievements();
+        // espera o toast da ação que desbloqueou a conquista sumir
+        setTimeout(()=> showToast(`🏅 Nova conquista: ${unlocked.map(def => def.title).join(', ')}!`), 3000);
+      }
+
+      function receiveStars(amount, from = GUARDIAN_NAME) {
+        amount = parseInt(amount);
+        if (isNaN(amount) || amount <= 0) {
+          showToast("Quantidade inválida!", false);
+          return false;
+        }
+        postEntry('transaction', amount, { from, to: state.user.name, amount });
+        updateBalance(state.user.stars);
+        showToast(`Recebeu ${amount} estrelas de ${from}!`);
+        renderStore();
+        renderDashboard();
+        return true;
+      }
+
+      // ======================================================
+      // === TRANSFERÊNCIAS ENTRE CRIANÇAS ====================
+      // ======================================================
+      // A transferência é gravada primeiro em migstar_pendingTransfer (diário). Cada lado é
+      // aplicado de forma idempotente e só é confirmado quando o registro do usuário é salvo;
+      // se o app fechar no meio, recoverPendingTransfer() termina o serviço no próximo boot.
+      function loadLedger(profileId) {
+        return MigSchema.readJSON(S, pKey('ledger', profileId), validators.list) || [];
+      }
+
+      // cada lado tem uma entrada com id fixo (<transferência>:<in|out>), então aplicar de novo não duplica
+      function applyTransferSide(profileId, transfer, direction) {
+        const user = loadProfileUser(profileId);
+        if (!user) return;
+        const ledger = loadLedger(profileId);
+        const entryId = `${transfer.id}:${direction}`;
+        if (!ledger.some(e => e.id === entryId)) {
+          MigLedger.append(ledger, {
+            id: entryId,
+            type: 'transaction',
+            delta: direction === 'out' ? -transfer.amount : transfer.amount,
+            date: transfer.date,
+            transferId: transfer.id,
+            direction,
+            from: transfer.fromName,
+            to: transfer.toName,
+            amount: transfer.amount,
+            note: transfer.note
+          }, getQRKey());
+          sSet(pKey('ledger', profileId), JSON.stringify(ledger));
+          queueSync(profileId, entryId);
+        }
+        user.stars = MigLedger.balance(ledger);
+        sSet(pKey('user', profileId), JSON.stringify(user));
+      }
+
+      function applyTransfer(transfer) {
+        applyTransferSide(transfer.fromId, transfer, 'out');
+        applyTransferSide(transfer.toId, transfer, 'in');
+        sRemove('migstar_pendingTransfer');
+      }
+
+      function recoverPendingTransfer() {
+        const transfer = MigSchema.readJSON(S, 'migstar_pendingTransfer', validators.object);
+        if (transfer) applyTransfer(transfer);
+      }
+
+      // quanto o perfil já enviou hoje para outras crianças
+      function sentToday(history) {
+        return history
+          .filter(h => h.type === 'transaction' && h.direction === 'out' && historyDay(h) === state.todayDate)
+          .reduce((sum, h) => sum + h.amount, 0);
+      }
+
+      function transferStars(fromId, toId, amount, note = '') {
+        const fromUser = fromId === state.activeProfileId ? state.user : loadProfileUser(fromId);
+        const toProfile = state.profiles.find(p => p.id === toId);
+        if (!fromUser || !toProfile || fromId === toId) {
+          showToast("Carteira inválida!", false);
+          return false;
+        }
+        if (fromUser.stars < amount) {
+          showToast(`${fromUser.name} não tem estrelas suficientes!`, false);
+          return false;
+        }
+        const transfer = {
+          id: 't' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+          fromId,
+          toId,
+          fromName: fromUser.name,
+          toName: toProfile.name,
+          amount,
+          note,
+          date: new Date().toISOString()
+        };
+        sSet('migstar_pendingTransfer', JSON.stringify(transfer));
+        applyTransfer(transfer);
+        loadState();
+        checkAchievements();
+        updateBalance(state.user.stars);
+        renderDashboard();
+        renderStore();
+        renderTransfer();
+        renderHistory();
+        return true;
+      }
+
+      function sendStars() {
+        const amount = parseInt(elements.sendAmount.value);
+        const toId = elements.recipient.value;
+        const note = elements.sendNote.value.trim();
+        if (!toId) return showToast("Escolha para quem enviar!", false);
+        if (isNaN(amount) || amount <= 0) return showToast("Digite uma quantidade válida!", false);
+        const remaining = state.settings.dailySendLimit - sentToday(state.history);
+        if (amount > remaining) {
+          return showToast(remaining > 0 ? `Hoje você só pode enviar mais ${remaining} estrelas.` : "Você já atingiu o limite de envios de hoje!", false);
+        }
+        const toName = state.profiles.find(p => p.id === toId).name;
+        if (transferStars(state.activeProfileId, toId, amount, note)) {
+          elements.sendAmount.value = '';
+          elements.sendNote.value = '';
+          showToast(`Enviou ${amount} estrelas para ${toName}!`);
+        }
+      }
+
+      // remetente: o responsável ou outra criança (nesse caso a carteira dela é debitada)
+      function receiveFromSender() {
+        const amount = parseInt(elements.amount.value);
+        const sender = elements.sender.value;
+        if (sender.startsWith('profile:')) {
+          const fromId = sender.slice('profile:'.length);
+          const fromName = state.profiles.find(p => p.id === fromId).name;
+          // o limite diário é de quem envia, venha o pedido de qual carteira vier
+          const remaining = state.settings.dailySendLimit - sentToday(MigLedger.toHistory(loadLedger(fromId)));
+          if (amount > remaining) {
+            showToast(remaining > 0 ? `Hoje ${fromName} só pode enviar mais ${remaining} estrelas.` : `${fromName} já atingiu o limite de envios de hoje!`, false);
+            return false;
+          }
+          if (transferStars(fromId, state.activeProfileId, amount)) {
+            showToast(`Recebeu ${amount} estrelas de ${fromName}!`);
+            return true;
+          }
+          return false;
+        }
+        return receiveStars(amount, GUARDIAN_NAME);
+      }
+
+      function renderTransfer() {
+        const others = state.profiles.filter(p => p.id !== state.activeProfileId);
+        elements.sender.innerHTML = `<option value="guardian">${GUARDIAN_NAME}</option>` +
+          others.map(p => `<option value="profile:${p.id}">${escapeHTML(p.avatar)} ${escapeHTML(p.name)}</option>`).join('');
+        elements.recipient.innerHTML = others.length
+          ? others.map(p => `<option value="${p.id}">${escapeHTML(p.avatar)} ${escapeHTML(p.name)}</option>`).join('')
+          : '<option value="">Nenhuma outra criança cadastrada</option>';
+        elements.sendBtn.disabled = others.length === 0;
+        const remaining = Math.max(0, state.settings.dailySendLimit - sentToday(state.history));
+        elements.sendLimitInfo.textContent = `Você ainda pode enviar ${remaining} ${STAR_SYMBOL} hoje.`;
+        renderPaymentRequests();
+      }
+
+      // compra na Loja Mig Apps: confere estoque e saldo, pede a senha se o item exigir
+      function purchaseItem(itemId) {
+        const item = state.store.find(i=>i.id === itemId);
+        if (!item) return;
+        if (item.stock !== null && item.stock <= 0) {
+          showToast("Item esgotado!", false);
+          return;
+        }
+        if (state.user.stars < item.price) {
+          showToast(`Faltam ${item.price - state.user.stars} estrelas para "${item.name}"!`, false);
+          return;
+        }
+        if (item.requiresApproval) requireGuardian(()=> completePurchase(item));
+        else completePurchase(item);
+      }
+
+      function completePurchase(item) {
+        // confere de novo: o saldo pode ter mudado enquanto a senha era digitada
+        if (state.user.stars < item.price || (item.stock !== null && item.stock <= 0)) {
+          showToast("Não foi possível concluir a compra!", false);
+          return;
+        }
+        postEntry('purchase', -item.price, { itemId: item.id, title: item.name, price: item.price });
+        if (item.stock !== null) item.stock -= 1;
+        saveStore();
+        updateBalance(state.user.stars);
+        showToast(`Você comprou "${item.name}" por ${item.price} estrelas!`);
+        renderStore();
+        renderDashboard();
+        renderHistory();
+      }
+
+      function renderUI() { renderProfileSwitcher(); renderDashboard(); renderMissions(); renderTransfer(); renderStore(); renderHistory(); renderStats(); }
+
+      function renderProfileSwitcher() {
+        const container = elements.profileSwitcher;
+        container.classList.toggle('hidden', state.profiles.length < 2);
+        container.innerHTML = '';
+        state.profiles.forEach(profile => {
+          const isActive = profile.id === state.activeProfileId;
+          const btn = document.createElement('button');
+          btn.className = `profile-btn px-4 py-2 rounded-full font-medium ${isActive ? 'bg-blue-600 text-white' : 'bg-white text-blue-600 shadow'}`;
+          btn.textContent = `${profile.avatar} ${profile.name}`;
+          btn.addEventListener('click', ()=> switchProfile(profile.id));
+          container.appendChild(btn);
+        });
+      }
+
+      function renderDashboard(){
+        elements.userBalance.textContent = state.user.stars;
+        elements.userName.textContent = state.user.name;
+        elements.userAvatar.textContent = activeProfile().avatar;
+        const reserved = reservedStars();
+        elements.reservedInfo.textContent = `⏳ +${reserved} ${STAR_SYMBOL} reservadas aguardando aprovação`;
+        elements.reservedInfo.classList.toggle('hidden', reserved === 0);
+        const total = state.todayMissions.length;
+        const completedCount = state.todayMissions.filter(m => state.user.completedMissionsToday.includes(m.id) && !isPendingApproval(m.id)).length;
+        const progress = total ? (completedCount/total)*100 : 0;
+        elements.missionProgress.style.width = `${progress}%`;
+        elements.completedMissionsCount.textContent = completedCount;
+        elements.dailyMissionsTotal.textContent = total;
+        const lastTransaction = state.history.find(item => item.type === 'transaction' || item.type === 'purchase');
+        if (lastTransaction && lastTransaction.direction === 'out') {
+          elements.lastTransaction.innerHTML = `<p>Para: ${escapeHTML(lastTransaction.to)}</p><p>Valor: -${lastTransaction.amount} ${STAR_SYMBOL}</p><p class="text-sm">${new Date(lastTransaction.date).toLocaleString()}</p>`;
+        } else if (lastTransaction && lastTransaction.type === 'purchase') {
+          elements.lastTransaction.innerHTML = `<p>Compra: ${escapeHTML(lastTransaction.title)}</p><p>Valor: -${lastTransaction.price} ${STAR_SYMBOL}</p><p class="text-sm">${new Date(lastTransaction.date).toLocaleString()}</p>`;
+        } else if (lastTransaction) {
+          elements.lastTransaction.innerHTML = `<p>De: ${escapeHTML(lastTransaction.from)}</p><p>Valor: ${lastTransaction.amount} ${STAR_SYMBOL}</p><p class="text-sm">${new Date(lastTransaction.date).toLocaleString()}</p>`;
+        } else elements.lastTransaction.innerHTML = 'Nenhuma transação ainda';
+        renderGoals();
+        renderAchievements();
+        const lastMission = state.history.find(item => item.type === 'mission');
+        if (lastMission) {
+          elements.lastMission.innerHTML = `<p>${escapeHTML(lastMission.title)}</p><p>Ganhou: ${lastMission.reward} ${STAR_SYMBOL}</p><p class="text-sm">${new Date(lastMission.date).toLocaleString()}</p>`;
+        } else elements.lastMission.innerHTML = 'Nenhuma missão completada ainda';
+      }
+
+      function renderAchievements() {
+        const streak = MigAchievements.computeStreak(state.history, state.todayDate, historyDay);
+        elements.streakCount.textContent = `🔥 ${streak.current} ${streak.current === 1 ? 'dia seguido' : 'dias seguidos'}`;
+        elements.achievementsContainer.innerHTML = MigAchievements.definitions.map(def => {
+          const unlockedAt = state.achievements[def.id];
+          return `<div class="text-center ${unlockedAt ? '' : 'badge-locked'}" title="${def.description}${unlockedAt ? ` · ${new Date(unlockedAt).toLocaleDateString()}` : ''}">
+              <div class="text-3xl">${def.icon}</div>
+              <div class="text-xs text-blue-600">${def.title}</div>
+            </div>`;
+        }).join('');
+      }
+
+      function renderMissions(){
+        const container = elements.missionsContainer;
+        container.innerHTML = '';
+        elements.allowanceSummary.textContent = state.user.allowances
+          .map(a => `💰 ${a.label}: ${a.amount} ${STAR_SYMBOL} ${describeAllowance(a)}`).join(' · ');
+        elements.allowanceSummary.classList.toggle('hidden', state.user.allowances.length === 0);
+        if (state.todayMissions.length === 0) {
+          container.innerHTML = '<p class="text-blue-500">Nenhuma missão para hoje.</p>';
+          return;
         }
         state.todayMissions.forEach(mission => {
-          const isCompleted = state.user.completedMissionsToday.includes(mission.id);
+          const isPending = isPendingApproval(mission.id);
+          const isCompleted = state.user.completedMissionsToday.includes(mission.id) && !isPending;
           const missionElement = document.createElement('div');
           missionElement.className = `mission-card bg-white border-2 rounded-lg p-4 ${isCompleted ? 'mission-complete' : 'border-blue-100'}`;
           missionElement.innerHTML = `
             <div class="flex justify-between items-center">
               <div>
-                <h3 class="font-medium ${isCompleted ? 'text-green-600' : 'text-blue-600'}">${mission.title}</h3>
-                <p class="text-sm ${isCompleted ? 'text-green-500' : 'text-blue-500'}">Você pode ganhar: ${mission.reward} ${STAR_SYMBOL}</p>
+                <h3 class="font-medium ${isCompleted ? 'text-green-600' : 'text-blue-600'}">${escapeHTML(mission.icon || '⭐')} ${escapeHTML(mission.title)}</h3>
+                <p class="text-sm ${isCompleted ? 'text-green-500' : 'text-blue-500'}">${isPending ? `⏳ Aguardando aprovação: ${mission.reward} ${STAR_SYMBOL}` : `Você pode ganhar: ${mission.reward} ${STAR_SYMBOL}`}${mission.requiresApproval && !isPending && !isCompleted ? ' · precisa de aprovação' : ''}</p>
               </div>
-              <button class="mission-btn ${isCompleted ? 'bg-green-100 text-green-600' : 'bg-blue-100 text-blue-600'} rounded-full w-10 h-10 flex items-center justify-center" data-id="${mission.id}">
-                ${isCompleted ? '✓' : '★'}
+              <button class="mission-btn ${isCompleted ? 'bg-green-100 text-green-600' : (isPending ? 'bg-yellow-100 text-yellow-600' : 'bg-blue-100 text-blue-600')} rounded-full w-10 h-10 flex items-center justify-center" data-id="${mission.id}">
+                ${isCompleted ? '✓' : (isPending ? '⏳' : '★')}
               </button>
             </div>`;
           container.appendChild(missionElement);
@@ -529,27 +1954,1198 @@
         });
       }
 
-      function renderHistory(filter='all'){
+      function renderStore(){
+        const container = elements.storeContainer;
+        container.innerHTML = '';
+        if (state.store.length === 0) {
+          container.innerHTML = '<p class="text-blue-500">A loja está vazia por enquanto.</p>';
+          return;
+        }
+        state.store.forEach(item => {
+          const soldOut = item.stock !== null && item.stock <= 0;
+          const canAfford = state.user.stars >= item.price;
+          const itemElement = document.createElement('div');
+          itemElement.className = `mission-card bg-white border-2 rounded-lg p-4 ${soldOut ? 'border-gray-200 opacity-60' : 'border-blue-100'}`;
+          itemElement.innerHTML = `
+            <div class="flex justify-between items-center">
+              <div>
+                <h3 class="font-medium text-blue-600">${item.requiresApproval ? '🔒 ' : ''}${escapeHTML(item.name)}</h3>
+                <p class="text-sm text-blue-500">${item.price} ${STAR_SYMBOL} · ${item.stock === null ? 'Ilimitado' : (soldOut ? 'Esgotado' : `Restam ${item.stock}`)}</p>
+              </div>
+              <button class="store-btn ${soldOut || !canAfford ? 'bg-gray-100 text-gray-400' : 'bg-blue-100 text-blue-600'} rounded-lg px-3 py-2 text-sm font-medium" data-id="${item.id}" ${soldOut ? 'disabled' : ''}>
+                Comprar
+              </button>
+            </div>`;
+          container.appendChild(itemElement);
+        });
+        container.querySelectorAll('.store-btn').forEach(btn=>{
+          btn.addEventListener('click', (e)=> purchaseItem(parseInt(e.currentTarget.getAttribute('data-id'))));
+        });
+      }
+
+      const historyItemClasses = {
+        transaction: 'transaction-item bg-blue-50',
+        mission: 'mission-item bg-yellow-50',
+        purchase: 'purchase-item bg-red-50',
+        adjustment: 'adjustment-item bg-purple-50',
+        daily_bonus: 'bonus-item bg-green-50',
+        mission_rejected: 'purchase-item bg-gray-50',
+        streak_bonus: 'bonus-item bg-orange-50',
+        opening: 'adjustment-item bg-gray-50',
+        payment_request: 'transaction-item bg-gray-50',
+        day_closed: 'mission-item bg-gray-50',
+        allowance: 'bonus-item bg-green-50',
+        goal_deposit: 'adjustment-item bg-blue-50',
+        goal_withdraw: 'adjustment-item bg-blue-50',
+        goal_interest: 'bonus-item bg-green-50'
+      };
+
+      const historyFilterTypes = { transactions: ['transaction', 'payment_request', 'allowance', 'goal_deposit', 'goal_withdraw', 'goal_interest'], missions: ['mission', 'mission_rejected', 'daily_bonus', 'streak_bonus', 'day_closed'], purchases: ['purchase'] };
+
+      const HISTORY_PAGE = 50;
+      const historyTypeNames = {
+        transaction: 'Transferência', mission: 'Missão', purchase: 'Compra', adjustment: 'Ajuste',
+        daily_bonus: 'Bônus do dia', mission_rejected: 'Missão não aprovada', streak_bonus: 'Bônus de sequência',
+        opening: 'Saldo inicial', payment_request: 'Pedido de estrelas', day_closed: 'Fim do dia', allowance: 'Mesada',
+        goal_deposit: 'Cofrinho', goal_withdraw: 'Cofrinho', goal_interest: 'Juros do cofrinho'
+      };
+
+      // filtros da aba Histórico (renderHistory() sem argumento mantém os atuais) e a lista filtrada,
+      // que vai para a tela uma página por vez
+      const historyView = { filter: 'all', query: '', from: '', to: '', min: null, max: null, entries: [], shown: 0, lastDay: null, subtotals: new Map(), requestStatus: new Map() };
+
+      // dia completo sem bônus configurado não é "bônus do dia" de 0 estrelas
+      function historyTypeName(item) {
+        if (item.type === 'daily_bonus' && !item.reward) return 'Dia completo';
+        return historyTypeNames[item.type] || item.type;
+      }
+
+      // quanto o item mexeu nas estrelas da criança (juros contam, mesmo ficando presos na meta)
+      function historyAmount(item) {
+        return item.type === 'goal_interest' ? item.amount : (item.delta || 0);
+      }
+
+      // texto simples do item: é onde a busca procura e o que vai para o CSV
+      function describeHistoryItem(item) {
+        switch (item.type) {
+          case 'transaction': return [item.direction === 'out' ? `Para ${item.to}` : `De ${item.from}`, item.note].filter(Boolean).join(' · ');
+          case 'daily_bonus': return `Completou as ${item.missions} missões do dia`;
+          case 'mission_rejected': return `${item.title} (${item.expired ? 'não aprovada a tempo' : 'não aprovada'})`;
+          case 'streak_bonus': return `${item.streak} dias seguidos`;
+          case 'payment_request': return `Pedido: ${item.memo}`;
+          case 'allowance': return item.label;
+          case 'goal_deposit': return `Guardou para ${item.name}`;
+          case 'goal_withdraw': return `Tirou do cofrinho: ${item.name}`;
+          case 'goal_interest': return `Juros de ${item.rate}% em ${item.name}`;
+          case 'day_closed': return `${item.completed} de ${item.missions} missões${item.missed.length ? ` · faltou: ${item.missed.map(m => m.title).join(', ')}` : ''}`;
+          case 'opening': return 'Saldo inicial';
+          case 'adjustment': return `Ajuste: ${item.reason}`;
+          case 'purchase': return `Compra: ${item.title}`;
+          default: return item.title || '';
+        }
+      }
+
+      // sem maiúsculas nem acentos: "licao" acha "Lição"
+      function searchable(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+      }
+
+      function historyMatches(item, day) {
+        const { filter, query, from, to, min, max } = historyView;
+        if (filter !== 'all' && !historyFilterTypes[filter].includes(item.type)) return false;
+        if ((from && day < from) || (to && day > to)) return false;
+        const amount = Math.abs(historyAmount(item));
+        if ((min !== null && amount < min) || (max !== null && amount > max)) return false;
+        return !query || searchable(describeHistoryItem(item)).includes(query);
+      }
+
+      function historyItemElement(item, requestStatus) {
+        const h = document.createElement('div');
+        h.className = `p-3 rounded-lg ${historyItemClasses[item.type] || historyItemClasses.mission}`;
+        if (item.type === 'transaction') {
+          const isOut = item.direction === 'out';
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">${isOut ? `Para ${escapeHTML(item.to)}` : `De ${escapeHTML(item.from)}`}</p>${item.note ? `<p class="text-sm text-blue-400">“${escapeHTML(item.note)}”</p>` : ''}<p class="text-sm text-blue-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-blue-600 font-bold">${isOut ? '-' : '+'}${item.amount} ${STAR_SYMBOL}</div></div>`;
+        } else if (item.type === 'daily_bonus') {
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">🎉 Completou as ${item.missions} missões do dia</p><p class="text-sm text-green-500">${new Date(item.date).toLocaleString()}</p></div>${item.reward > 0 ? `<div class="text-green-600 font-bold">+${item.reward} ${STAR_SYMBOL}</div>` : ''}</div>`;
+        } else if (item.type === 'mission_rejected') {
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">✗ ${escapeHTML(item.title)} (${item.expired ? 'não aprovada a tempo' : 'não aprovada'})</p><p class="text-sm text-gray-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-gray-400 font-bold line-through">${item.reward} ${STAR_SYMBOL}</div></div>`;
+        } else if (item.type === 'streak_bonus') {
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">🔥 ${item.streak} dias seguidos!</p><p class="text-sm text-orange-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-orange-600 font-bold">+${item.reward} ${STAR_SYMBOL}</div></div>`;
+        } else if (item.type === 'payment_request') {
+          const status = requestStatus.get(item.requestId);
+          const label = status.payment ? `✓ Pago em ${new Date(status.payment.date).toLocaleString()}` : (status.expired ? 'Expirou sem pagamento' : '⏳ Esperando o responsável');
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">📨 Pedido: ${escapeHTML(item.memo)}</p><p class="text-sm ${status.payment ? 'text-green-500' : 'text-gray-500'}">${label}</p><p class="text-sm text-gray-500">${new Date(item.date).toLocaleString()}</p></div><div class="${status.payment ? 'text-green-600' : 'text-gray-400'} font-bold">${item.amount} ${STAR_SYMBOL}</div></div>`;
+        } else if (item.type === 'allowance') {
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">💰 ${escapeHTML(item.label)}</p><p class="text-sm text-green-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-green-600 font-bold">+${item.amount} ${STAR_SYMBOL}</div></div>`;
+        } else if (item.type === 'goal_deposit' || item.type === 'goal_withdraw') {
+          const isDeposit = item.type === 'goal_deposit';
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">🐷 ${isDeposit ? 'Guardou para' : 'Tirou do cofrinho:'} ${escapeHTML(item.name)}</p><p class="text-sm text-blue-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-blue-600 font-bold">${isDeposit ? '-' : '+'}${item.amount} ${STAR_SYMBOL}</div></div>`;
+        } else if (item.type === 'goal_interest') {
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">📈 Juros de ${item.rate}% em ${escapeHTML(item.name)}</p><p class="text-sm text-green-500">Ficou guardado na meta · ${new Date(item.date).toLocaleString()}</p></div><div class="text-green-600 font-bold">+${item.amount} 🔒</div></div>`;
+        } else if (item.type === 'day_closed') {
+          const [, month, day] = item.day.split('-');
+          const detail = item.skipped ? 'O app não foi aberto neste dia' : (item.missed.length ? `Ficou faltando: ${item.missed.map(m => escapeHTML(m.title)).join(', ')}` : 'Todas feitas!');
+          h.innerHTML = `<div><p class="font-medium">📅 Dia ${day}/${month}: ${item.completed} de ${item.missions} missões</p><p class="text-sm text-gray-500">${detail}</p></div>`;
+        } else if (item.type === 'opening') {
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">Saldo inicial</p><p class="text-sm text-gray-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-gray-600 font-bold">${item.delta > 0 ? '+' : ''}${item.delta} ${STAR_SYMBOL}</div></div>`;
+        } else if (item.type === 'adjustment') {
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">Ajuste: ${escapeHTML(item.reason)}</p><p class="text-sm text-purple-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-purple-600 font-bold">${item.amount > 0 ? '+' : ''}${item.amount} ${STAR_SYMBOL}</div></div>`;
+        } else if (item.type === 'purchase') {
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">Compra: ${escapeHTML(item.title)}</p><p class="text-sm text-red-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-red-600 font-bold">-${item.price} ${STAR_SYMBOL}</div></div>`;
+        } else {
+          h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">${escapeHTML(item.title)}</p><p class="text-sm text-yellow-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-yellow-600 font-bold">+${item.reward} ${STAR_SYMBOL}</div></div>`;
+        }
+        return h;
+      }
+
+      function historyDayHeader(day) {
+        const { gained, spent } = historyView.subtotals.get(day);
+        const header = document.createElement('div');
+        header.className = 'flex justify-between text-sm font-medium text-blue-600 pt-2';
+        const label = new Date(`${day}T12:00:00`).toLocaleDateString('pt-BR', { weekday: 'short', day: '2-digit', month: '2-digit', year: 'numeric' });
+        header.innerHTML = `<span>${label}</span><span><span class="text-green-600">+${gained}</span> / <span class="text-red-500">-${spent}</span> ${STAR_SYMBOL}</span>`;
+        return header;
+      }
+
+      function renderHistory(filter = historyView.filter) {
+        historyView.filter = filter;
+        // agrupa por dia do app (o dia de uma entrada pode não ser o da data em que foi gravada,
+        // ex.: dias fechados depois); dentro do dia fica a ordem do ledger
+        historyView.entries = state.history
+          .map(item => ({ item, day: historyDay(item) }))
+          .filter(({ item, day }) => historyMatches(item, day))
+          .sort((a, b) => (a.day < b.day) - (a.day > b.day));
+        historyView.subtotals = new Map();
+        historyView.entries.forEach(({ item, day }) => {
+          const totals = historyView.subtotals.get(day) || { gained: 0, spent: 0 };
+          const amount = historyAmount(item);
+          if (amount > 0) totals.gained += amount;
+          else totals.spent -= amount;
+          historyView.subtotals.set(day, totals);
+        });
+        historyView.requestStatus = new Map(paymentRequests().map(r => [r.request.requestId, r]));
+        historyView.shown = 0;
+        historyView.lastDay = null;
         const container = elements.historyContainer;
         container.innerHTML = '';
-        if (state.history.length === 0) { container.innerHTML = '<p class="text-blue-500">Nenhum histórico ainda.</p>'; return; }
-        const filtered = filter === 'all' ? state.history : (filter === 'transactions' ? state.history.filter(i=>i.type==='transaction') : state.history.filter(i=>i.type==='mission'));
-        filtered.forEach(item=>{
-          const h = document.createElement('div');
-          h.className = `p-3 rounded-lg ${item.type === 'transaction' ? 'transaction-item bg-blue-50' : 'mission-item bg-yellow-50'}`;
-          if (item.type === 'transaction') {
-            h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">De ${item.from}</p><p class="text-sm text-blue-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-blue-600 font-bold">+${item.amount} ${STAR_SYMBOL}</div></div>`;
-          } else {
-            h.innerHTML = `<div class="flex justify-between"><div><p class="font-medium">${item.title}</p><p class="text-sm text-yellow-500">${new Date(item.date).toLocaleString()}</p></div><div class="text-yellow-600 font-bold">+${item.reward} ${STAR_SYMBOL}</div></div>`;
+        container.scrollTop = 0;
+        if (state.history.length === 0) container.innerHTML = '<p class="text-blue-500">Nenhum histórico ainda.</p>';
+        else if (historyView.entries.length === 0) container.innerHTML = '<p class="text-blue-500">Nada encontrado com esses filtros.</p>';
+        elements.historySummary.textContent = historyView.entries.length === state.history.length ? '' : `${historyView.entries.length} de ${state.history.length} itens`;
+        showMoreHistory();
+      }
+
+      // acrescenta a próxima página no fim, sem redesenhar o que já está na tela
+      function showMoreHistory() {
+        const page = historyView.entries.slice(historyView.shown, historyView.shown + HISTORY_PAGE);
+        const fragment = document.createDocumentFragment();
+        page.forEach(({ item, day }) => {
+          if (day !== historyView.lastDay) {
+            fragment.appendChild(historyDayHeader(day));
+            historyView.lastDay = day;
+          }
+          fragment.appendChild(historyItemElement(item, historyView.requestStatus));
+        });
+        elements.historyContainer.appendChild(fragment);
+        historyView.shown += page.length;
+        const remaining = historyView.entries.length - historyView.shown;
+        elements.historyMoreBtn.textContent = `Mostrar mais (${remaining})`;
+        elements.historyMoreBtn.classList.toggle('hidden', remaining <= 0);
+      }
+
+      function readHistoryFilters() {
+        const number = input => input.value === '' || isNaN(parseInt(input.value)) ? null : parseInt(input.value);
+        historyView.query = searchable(elements.historySearch.value.trim());
+        historyView.from = elements.historyFrom.value;
+        historyView.to = elements.historyTo.value;
+        historyView.min = number(elements.historyMin);
+        historyView.max = number(elements.historyMax);
+        renderHistory();
+      }
+
+      // número vai como número (negativo continua negativo); texto começando com = + - @, tab ou
+      // CR vira fórmula na planilha, então ganha um apóstrofo na frente
+      function csvCell(value) {
+        if (typeof value === 'number') return String(value);
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      }
+
+      // exporta o que o filtro está mostrando (todas as páginas). Separado por ponto e vírgula e
+      // com BOM, para o Excel em português abrir com acentos e colunas certas.
+      function exportHistoryCSV() {
+        if (historyView.entries.length === 0) return showToast("Nada para exportar com esses filtros!", false);
+        const rows = [['Data', 'Dia', 'Tipo', 'Descrição', 'Estrelas']].concat(historyView.entries.map(({ item, day }) => [
+          new Date(item.date).toLocaleString('pt-BR'),
+          day,
+          historyTypeName(item),
+          describeHistoryItem(item),
+          historyAmount(item)
+        ]));
+        const csv = '\ufeff' + rows.map(row => row.map(csvCell).join(';')).join('\r\n');
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `migstar-historico-${state.activeProfileId}-${state.todayDate}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showToast(`Histórico exportado (${historyView.entries.length} itens)`);
+      }
+
+      // ======================================================
+      // === ESTATÍSTICAS =====================================
+      // ======================================================
+      // contas em stats.js, gráficos em charts.js
+      const monthNames = ['jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez'];
+      const statsPeriods = {
+        day: { count: 14, label: key => key.slice(8) },
+        week: { count: 12, label: key => `${key.slice(8)}/${key.slice(5, 7)}` },
+        month: { count: 12, label: key => monthNames[parseInt(key.slice(5)) - 1] }
+      };
+      const sourceColors = { missions: '#eab308', transfers: '#2563eb', allowance: '#16a34a', interest: '#f97316', other: '#9333ea' };
+      let statsPeriod = 'week';
+
+      function renderStats(period = statsPeriod) {
+        statsPeriod = period;
+        const { count, label } = statsPeriods[period];
+        const ctx = { period, count, today: state.todayDate, dayOf: historyDay };
+        const earned = MigStats.earnedByPeriod(state.history, ctx);
+        elements.statsEarned.innerHTML = MigCharts.bars(earned.map(b => ({ label: label(b.key), value: b.total })));
+        const sources = MigStats.incomeBySource(state.history);
+        elements.statsSources.innerHTML = MigCharts.split(Object.keys(MigStats.SOURCES)
+          .map(key => ({ label: MigStats.SOURCES[key], value: sources[key], color: sourceColors[key] })))
+          || '<p class="text-sm text-blue-500">Nenhuma estrela ganha ainda.</p>';
+        const completion = MigStats.completionByPeriod(state.history, ctx);
+        elements.statsCompletion.innerHTML = MigCharts.bars(completion.map(b => ({
+          label: label(b.key),
+          value: b.rate === null ? null : Math.round(b.rate * 100),
+          title: b.rate === null ? `${label(b.key)}: sem dias fechados` : `${label(b.key)}: ${b.completed} de ${b.offered} missões`
+        })), { color: '#16a34a', max: 100, format: value => `${value}%` });
+        const ranking = MigStats.missionRanking(state.history);
+        const row = m => `<li class="flex justify-between"><span>${escapeHTML(m.title)}</span><span>${m.completed}x${m.missed ? ` · ${Math.round(m.rate * 100)}%` : ''}</span></li>`;
+        elements.statsTopMissions.innerHTML = ranking.slice(0, 3).map(row).join('') || '<li>Nenhuma missão feita ainda.</li>';
+        // as menos feitas: menor quantidade primeiro e, no empate, as que mais ficaram para trás
+        elements.statsBottomMissions.innerHTML = ranking.slice(3).sort((a, b) => a.completed - b.completed || b.missed - a.missed)
+          .slice(0, 3).map(row).join('') || '<li>Ainda há poucas missões para comparar.</li>';
+      }
+
+      // PIN do responsável: guardado só como hash PBKDF2 com sal em migstar_guardian.
+      // Depois de PIN_MAX_ATTEMPTS erros seguidos, cada novo erro bloqueia por um tempo que dobra.
+      const PIN_MAX_ATTEMPTS = 5;
+      const PIN_LOCK_BASE = 30 * 1000;
+      const PIN_LOCK_MAX = 60 * 60 * 1000;
+
+      // { status: 'missing' | 'ok' | 'corrupt', record }. O registro danificado não é apagado nem
+      // tratado como ausente: isso deixaria qualquer um criar um PIN novo. Ele fica como está e a
+      // área do responsável só abre depois da recuperação (recoverGuardian).
+      function readGuardian() {
+        const raw = sGet('migstar_guardian');
+        if (raw === null || raw === undefined) return { status: 'missing', record: null };
+        let record;
+        try { record = JSON.parse(raw); } catch (e) { record = null; }
+        return validators.guardian(record) ? { status: 'ok', record } : { status: 'corrupt', record: null };
+      }
+      function loadGuardian() { return readGuardian().record; }
+      function saveGuardian(guardian) { sSet('migstar_guardian', JSON.stringify(guardian)); }
+
+      // modal de PIN reutilizável: chama onSuccess quando o PIN confere (ou é criado no primeiro uso).
+      // Com o PIN danificado o modal pede a senha do DanStar em vez do PIN.
+      let guardianCallback = null;
+      let guardianMode = 'pin';
+      function requireGuardian(onSuccess) {
+        const status = readGuardian().status;
+        guardianMode = { missing: 'setup', ok: 'pin', corrupt: 'recover' }[status];
+        guardianCallback = onSuccess;
+        const isSetup = guardianMode === 'setup';
+        const isRecover = guardianMode === 'recover';
+        elements.passwordTitle.textContent = isRecover ? "PIN do Responsável danificado" : (isSetup ? "Crie o PIN do Responsável" : "PIN do Responsável");
+        elements.passwordHint.textContent = !isRecover ? '' : (getQRKey()
+          ? "O registro do PIN não pode ser lido. Digite a senha do DanStar para criar um PIN novo."
+          : "O registro do PIN não pode ser lido e a senha do DanStar não foi definida neste aparelho: só dá para apagar os dados e começar de novo.");
+        elements.passwordHint.classList.toggle('hidden', !isRecover);
+        elements.guardianResetBtn.classList.toggle('hidden', !isRecover);
+        elements.passwordInput.value = '';
+        elements.passwordInput.placeholder = isRecover ? "Senha do DanStar" : "PIN";
+        elements.passwordInput.inputMode = isRecover ? 'text' : 'numeric';
+        elements.passwordConfirmInput.value = '';
+        elements.passwordConfirmInput.classList.toggle('hidden', !isSetup);
+        elements.passwordError.classList.add('hidden');
+        elements.passwordModal.classList.remove('hidden');
+        elements.passwordInput.focus();
+      }
+
+      // recuperação do PIN danificado: quem sabe a senha do DanStar é o responsável. O registro
+      // danificado vai para a quarentena só agora, e o modal passa para a criação do PIN novo.
+      async function recoverGuardian(secret) {
+        const key = getQRKey();
+        if (!key || await MigCrypto.deriveKey(secret) !== key) return showPinError("Senha do DanStar incorreta.");
+        MigSchema.quarantine(S, 'migstar_guardian', sGet('migstar_guardian'), 'PIN danificado, recriado pelo responsável');
+        requireGuardian(guardianCallback);
+      }
+
+      // última saída quando não há senha do DanStar: apaga tudo (não adianta para ganhar estrelas)
+      function resetAllData() {
+        if (!confirm("Apagar todos os dados do MigStar neste aparelho (crianças, estrelas, missões e PIN)? Isso não pode ser desfeito.")) return;
+        S.keys().filter(k => k.startsWith('migstar_')).forEach(sRemove);
+        S.flush().then(() => location.reload());
+      }
+
+      function closePasswordModal() {
+        elements.passwordModal.classList.add('hidden');
+        elements.passwordError.classList.add('hidden');
+      }
+
+      function showPinError(message) {
+        elements.passwordError.textContent = message;
+        elements.passwordError.classList.remove('hidden');
+      }
+
+      function lockMessage(guardian) {
+        const seconds = Math.ceil((guardian.lockedUntil - Date.now()) / 1000);
+        return `Muitas tentativas. Tente de novo em ${seconds}s.`;
+      }
+
+      function isValidPin(pin) { return /^\d{4,8}$/.test(pin); }
+
+      async function submitGuardianPin() {
+        const pin = elements.passwordInput.value;
+        if (guardianMode === 'recover') return recoverGuardian(pin);
+        const guardian = loadGuardian();
+        if (!guardian) {
+          if (!isValidPin(pin)) return showPinError("O PIN precisa ter de 4 a 8 números.");
+          if (pin !== elements.passwordConfirmInput.value) return showPinError("Os PINs não conferem.");
+          saveGuardian(Object.assign(await MigCrypto.hashPin(pin), { failedAttempts: 0, lockedUntil: 0 }));
+          return unlockGuardian();
+        }
+        if (guardian.lockedUntil > Date.now()) return showPinError(lockMessage(guardian));
+        if (await MigCrypto.verifyPin(pin, guardian)) {
+          guardian.failedAttempts = 0;
+          guardian.lockedUntil = 0;
+          saveGuardian(guardian);
+          return unlockGuardian();
+        }
+        guardian.failedAttempts = (guardian.failedAttempts || 0) + 1;
+        const overLimit = guardian.failedAttempts - PIN_MAX_ATTEMPTS;
+        if (overLimit >= 0) guardian.lockedUntil = Date.now() + Math.min(PIN_LOCK_BASE * Math.pow(2, overLimit), PIN_LOCK_MAX);
+        saveGuardian(guardian);
+        showPinError(overLimit >= 0 ? lockMessage(guardian) : `PIN incorreto! ${-overLimit} tentativa(s) restante(s).`);
+      }
+
+      function unlockGuardian() {
+        closePasswordModal();
+        const callback = guardianCallback;
+        guardianCallback = null;
+        if (callback) callback();
+      }
+
+      // ajuste manual feito pelo responsável (valor com sinal), sempre com motivo
+      function applyAdjustment(amount, reason) {
+        postEntry('adjustment', amount, { amount, reason });
+        updateBalance(state.user.stars);
+        renderDashboard();
+        renderStore();
+        renderHistory();
+      }
+
+      function openAdminPanel() {
+        renderProfileOverview();
+        renderMissionEditor();
+        renderAllowanceEditor();
+        renderStoreEditor();
+        renderApprovalQueue();
+        elements.settingSendLimit.value = state.settings.dailySendLimit;
+        elements.settingApproveAll.checked = state.settings.approveAllMissions;
+        elements.settingTimeZone.value = state.settings.timeZone;
+        elements.settingResetHour.value = state.settings.dayResetHour;
+        fillMissionSettings();
+        elements.settingGoalInterest.value = state.user.goalInterest.rate;
+        elements.settingGoalInterestPeriod.value = state.user.goalInterest.period;
+        renderStorageDiagnostics();
+        renderSyncStatus();
+        elements.adminQrSecretNotice.classList.toggle('hidden', !!getQRKey());
+        elements.adminModal.classList.remove('hidden');
+        // primeiro uso: sem senha do DanStar não há QR, então ela vem antes de tudo
+        if (!getQRKey()) elements.adminQrSecret.focus();
+      }
+
+      // catálogo da loja (migstar_store), o mesmo para todas as crianças; estoque null = ilimitado
+      function renderStoreEditor() {
+        const list = elements.storeEditorList;
+        list.innerHTML = '';
+        if (state.store.length === 0) {
+          list.innerHTML = '<p class="text-sm text-blue-400">Nenhum prêmio na loja.</p>';
+          return;
+        }
+        state.store.forEach(item => {
+          const row = document.createElement('div');
+          row.className = 'flex items-center justify-between p-2 rounded-lg border border-blue-100';
+          row.innerHTML = `
+            <span class="flex-1 text-sm">${item.requiresApproval ? '🔒 ' : ''}${escapeHTML(item.name)} <span class="text-blue-400">· ${item.price} ${STAR_SYMBOL} · ${item.stock === null ? 'ilimitado' : `estoque ${item.stock}`}</span></span>
+            <button class="store-edit text-blue-500 text-sm px-2" data-id="${item.id}">Editar</button>
+            <button class="store-remove text-red-500 text-sm px-2" data-id="${item.id}">Remover</button>`;
+          list.appendChild(row);
+        });
+        list.querySelectorAll('.store-edit').forEach(btn => {
+          btn.addEventListener('click', (e) => fillStoreForm(state.store.find(i => i.id === parseInt(e.currentTarget.getAttribute('data-id')))));
+        });
+        list.querySelectorAll('.store-remove').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            const id = parseInt(e.currentTarget.getAttribute('data-id'));
+            const item = state.store.find(i => i.id === id);
+            if (!confirm(`Tirar "${item.name}" da loja? As compras já feitas continuam no histórico.`)) return;
+            state.store = state.store.filter(i => i.id !== id);
+            if (parseInt(elements.storeEditId.value) === id) fillStoreForm(null);
+            commitStore();
+          });
+        });
+      }
+
+      function fillStoreForm(item) {
+        elements.storeEditId.value = item ? item.id : '';
+        elements.storeEditName.value = item ? item.name : '';
+        elements.storeEditPrice.value = item ? item.price : '';
+        elements.storeEditStock.value = item && item.stock !== null ? item.stock : '';
+        elements.storeEditApproval.checked = item ? item.requiresApproval : false;
+        elements.storeEditSave.textContent = item ? "Salvar prêmio" : "Adicionar prêmio";
+      }
+
+      function saveStoreForm() {
+        const name = elements.storeEditName.value.trim();
+        const price = parseInt(elements.storeEditPrice.value);
+        const stockText = elements.storeEditStock.value.trim();
+        const stock = stockText === '' ? null : parseInt(stockText);
+        if (!name) return showToast("Digite o nome do prêmio!", false);
+        if (isNaN(price) || price <= 0) return showToast("Digite um preço válido!", false);
+        if (stock !== null && (isNaN(stock) || stock < 0)) return showToast("O estoque não pode ser negativo (vazio = ilimitado).", false);
+        const fields = { name, price, stock, requiresApproval: elements.storeEditApproval.checked };
+        const existing = state.store.find(i => i.id === parseInt(elements.storeEditId.value));
+        // o id continua o mesmo ao editar: as compras no histórico apontam para ele
+        if (existing) Object.assign(existing, fields);
+        else state.store.push(Object.assign({ id: state.store.reduce((max, i) => Math.max(max, i.id), 0) + 1 }, fields));
+        fillStoreForm(null);
+        showToast(existing ? `"${name}" atualizado!` : `"${name}" está na loja!`);
+        commitStore();
+      }
+
+      function commitStore() {
+        saveStore();
+        renderStoreEditor();
+        renderStore();
+      }
+
+      // visão geral do responsável: saldo de cada criança lado a lado
+      function renderProfileOverview() {
+        document.querySelectorAll('.admin-profile-label').forEach(label => {
+          label.textContent = `(${activeProfile().avatar} ${state.user.name})`;
+        });
+        const container = elements.profileOverview;
+        container.innerHTML = '';
+        state.profiles.forEach(profile => {
+          const user = profile.id === state.activeProfileId ? state.user : loadProfileUser(profile.id);
+          const isActive = profile.id === state.activeProfileId;
+          const card = document.createElement('div');
+          card.className = `rounded-lg p-3 text-center border-2 ${isActive ? 'border-blue-600 bg-blue-50' : 'border-blue-100'}`;
+          card.innerHTML = `
+            <button class="profile-select w-full" data-id="${profile.id}">
+              <div class="text-3xl">${escapeHTML(profile.avatar)}</div>
+              <div class="font-medium text-blue-600">${escapeHTML(profile.name)}</div>
+              <div class="text-blue-800 font-bold">${user ? user.stars : 0} ${STAR_SYMBOL}</div>
+              ${user && openApprovals(user).length ? `<div class="text-xs text-yellow-600">⏳ ${openApprovals(user).length} para aprovar</div>` : ''}
+            </button>
+            <div class="flex justify-center space-x-2 text-sm mt-1">
+              <button class="profile-edit text-blue-500" data-id="${profile.id}">Editar</button>
+              <button class="profile-remove text-red-500" data-id="${profile.id}">Remover</button>
+            </div>`;
+          container.appendChild(card);
+        });
+        container.querySelectorAll('.profile-select').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            switchProfile(e.currentTarget.getAttribute('data-id'));
+            openAdminPanel();
+          });
+        });
+        container.querySelectorAll('.profile-edit').forEach(btn => {
+          btn.addEventListener('click', (e) => fillProfileForm(state.profiles.find(p => p.id === e.currentTarget.getAttribute('data-id'))));
+        });
+        container.querySelectorAll('.profile-remove').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            const profile = state.profiles.find(p => p.id === e.currentTarget.getAttribute('data-id'));
+            if (state.profiles.length === 1) return showToast("É preciso ter pelo menos uma criança!", false);
+            if (!confirm(`Remover ${profile.name} e todas as estrelas e histórico? Isso não pode ser desfeito.`)) return;
+            removeProfile(profile.id);
+            fillProfileForm(null);
+            renderUI();
+            renderProfileOverview();
+          });
+        });
+      }
+
+      function fillMissionSettings() {
+        const config = state.user.dailyMissions;
+        elements.settingMissionCount.value = config.default;
+        elements.settingMissionWeekdays.querySelectorAll('input').forEach(input => {
+          const override = config.weekdays[input.getAttribute('data-day')];
+          input.value = Number.isInteger(override) ? override : '';
+        });
+        elements.settingDailyBonus.value = state.user.dailyBonus;
+      }
+
+      function saveMissionSettings() {
+        const count = parseInt(elements.settingMissionCount.value);
+        const bonus = parseInt(elements.settingDailyBonus.value);
+        if (isNaN(count) || count < 1 || count > 10) return showToast("A quantidade precisa ser de 1 a 10!", false);
+        if (isNaN(bonus) || bonus < 0) return showToast("Digite um bônus válido!", false);
+        const weekdays = {};
+        for (const input of elements.settingMissionWeekdays.querySelectorAll('input')) {
+          if (input.value === '') continue;
+          const value = parseInt(input.value);
+          if (isNaN(value) || value < 0 || value > 10) return showToast("Use de 0 a 10 missões por dia da semana!", false);
+          weekdays[input.getAttribute('data-day')] = value;
+        }
+        state.user.dailyMissions = { default: count, weekdays };
+        state.user.dailyBonus = bonus;
+        saveUser();
+        reconcileTodayMissions();
+        renderMissions();
+        renderDashboard();
+        showToast(`Missões do dia de ${state.user.name} salvas!`);
+      }
+
+      // ======================================================
+      // === EDITOR DA MESADA =================================
+      // ======================================================
+      function describeAllowance(allowance) {
+        if (allowance.period === 'weekly') return `toda semana (${weekdayNames[allowance.weekday]})`;
+        if (allowance.period === 'monthly') return `todo mês (dia ${allowance.monthDay})`;
+        return 'todo dia';
+      }
+
+      function renderAllowanceEditor() {
+        const list = elements.allowanceEditorList;
+        list.innerHTML = '';
+        if (state.user.allowances.length === 0) {
+          list.innerHTML = '<p class="text-sm text-blue-400">Nenhum crédito agendado.</p>';
+          return;
+        }
+        state.user.allowances.forEach(allowance => {
+          const row = document.createElement('div');
+          row.className = 'flex items-center justify-between p-2 rounded-lg border border-blue-100';
+          row.innerHTML = `
+            <span class="flex-1 text-sm">💰 ${escapeHTML(allowance.label)} <span class="text-blue-400">· ${allowance.amount} ${STAR_SYMBOL} · ${describeAllowance(allowance)}</span></span>
+            <button class="allowance-edit text-blue-500 text-sm px-2" data-id="${allowance.id}">Editar</button>
+            <button class="allowance-remove text-red-500 text-sm px-2" data-id="${allowance.id}">Remover</button>`;
+          list.appendChild(row);
+        });
+        list.querySelectorAll('.allowance-edit').forEach(btn => {
+          btn.addEventListener('click', (e) => fillAllowanceForm(state.user.allowances.find(a => a.id === e.currentTarget.getAttribute('data-id'))));
+        });
+        list.querySelectorAll('.allowance-remove').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            const id = e.currentTarget.getAttribute('data-id');
+            const allowance = state.user.allowances.find(a => a.id === id);
+            if (!confirm(`Parar de creditar "${allowance.label}"? O que já foi pago continua no saldo.`)) return;
+            state.user.allowances = state.user.allowances.filter(a => a.id !== id);
+            if (elements.allowanceEditId.value === id) fillAllowanceForm(null);
+            commitAllowances();
+          });
+        });
+      }
+
+      function updateAllowanceFields() {
+        const period = elements.allowanceEditPeriod.value;
+        elements.allowanceEditWeekday.classList.toggle('hidden', period !== 'weekly');
+        elements.allowanceEditMonthDay.classList.toggle('hidden', period !== 'monthly');
+      }
+
+      function fillAllowanceForm(allowance) {
+        elements.allowanceEditId.value = allowance ? allowance.id : '';
+        elements.allowanceEditLabel.value = allowance ? allowance.label : '';
+        elements.allowanceEditAmount.value = allowance ? allowance.amount : '';
+        elements.allowanceEditPeriod.value = allowance ? allowance.period : 'weekly';
+        elements.allowanceEditWeekday.value = allowance && allowance.period === 'weekly' ? allowance.weekday : 1;
+        elements.allowanceEditMonthDay.value = allowance && allowance.period === 'monthly' ? allowance.monthDay : '';
+        updateAllowanceFields();
+        elements.allowanceEditSave.textContent = allowance ? "Salvar crédito" : "Adicionar crédito";
+      }
+
+      function saveAllowanceForm() {
+        const label = elements.allowanceEditLabel.value.trim() || 'Mesada';
+        const amount = parseInt(elements.allowanceEditAmount.value);
+        const period = elements.allowanceEditPeriod.value;
+        const monthDay = parseInt(elements.allowanceEditMonthDay.value);
+        if (isNaN(amount) || amount <= 0) return showToast("Digite uma quantidade válida!", false);
+        if (period === 'monthly' && (isNaN(monthDay) || monthDay < 1 || monthDay > 31)) return showToast("O dia do mês vai de 1 a 31.", false);
+        const fields = { label, amount, period };
+        if (period === 'weekly') fields.weekday = parseInt(elements.allowanceEditWeekday.value);
+        if (period === 'monthly') fields.monthDay = monthDay;
+        const existing = state.user.allowances.find(a => a.id === elements.allowanceEditId.value);
+        if (existing) {
+          delete existing.weekday;
+          delete existing.monthDay;
+          Object.assign(existing, fields);
+        } else {
+          // só paga a partir de hoje: criar a mesada não credita os dias que já passaram
+          state.user.allowances.push(Object.assign({ id: 'a' + Date.now().toString(36), since: state.todayDate }, fields));
+        }
+        fillAllowanceForm(null);
+        showToast(existing ? `"${label}" atualizado!` : `"${label}" agendado para ${state.user.name}!`);
+        commitAllowances();
+      }
+
+      // se o crédito vence hoje, já paga
+      function commitAllowances() {
+        saveUser();
+        creditAllowances(state.todayDate);
+        renderAllowanceEditor();
+        renderUI();
+      }
+
+      function fillProfileForm(profile) {
+        elements.profileEditId.value = profile ? profile.id : '';
+        elements.profileEditName.value = profile ? profile.name : '';
+        elements.profileEditAvatar.value = profile ? profile.avatar : profileAvatars[0];
+        elements.profileEditSave.textContent = profile ? "Salvar criança" : "Adicionar criança";
+      }
+
+      function saveProfileForm() {
+        const name = elements.profileEditName.value.trim();
+        const avatar = elements.profileEditAvatar.value;
+        if (!name) return showToast("Digite o nome da criança!", false);
+        const editingId = elements.profileEditId.value;
+        if (editingId) updateProfile(editingId, name, avatar);
+        else createProfile(name, avatar);
+        fillProfileForm(null);
+        renderUI();
+        renderProfileOverview();
+        showToast(editingId ? `Perfil de ${name} atualizado!` : `${avatar} ${name} entrou no Mig Star!`);
+      }
+
+      // ======================================================
+      // === EDITOR DO POOL DE MISSÕES ========================
+      // ======================================================
+      function renderMissionEditor() {
+        const list = elements.missionEditorList;
+        list.innerHTML = '';
+        state.missions.forEach(mission => {
+          const row = document.createElement('div');
+          row.className = `flex items-center justify-between p-2 rounded-lg border ${mission.enabled ? 'border-blue-100' : 'border-gray-200 opacity-60'}`;
+          row.innerHTML = `
+            <label class="flex items-center flex-1 text-sm">
+              <input type="checkbox" class="mission-toggle mr-2" data-id="${mission.id}" ${mission.enabled ? 'checked' : ''}>
+              <span>${escapeHTML(mission.icon)} ${escapeHTML(mission.title)} <span class="text-blue-400">· ${mission.reward} ${STAR_SYMBOL} · ${missionCategories[mission.category] || mission.category} · ${describeSchedule(mission)}</span></span>
+            </label>
+            <button class="mission-edit text-blue-500 text-sm px-2" data-id="${mission.id}">Editar</button>
+            <button class="mission-remove text-red-500 text-sm px-2" data-id="${mission.id}">Remover</button>`;
+          list.appendChild(row);
+        });
+        list.querySelectorAll('.mission-toggle').forEach(box => {
+          box.addEventListener('change', (e) => {
+            const mission = state.missions.find(m => m.id === parseInt(e.currentTarget.getAttribute('data-id')));
+            mission.enabled = e.currentTarget.checked;
+            commitMissionPool();
+          });
+        });
+        list.querySelectorAll('.mission-edit').forEach(btn => {
+          btn.addEventListener('click', (e) => fillMissionForm(state.missions.find(m => m.id === parseInt(e.currentTarget.getAttribute('data-id')))));
+        });
+        list.querySelectorAll('.mission-remove').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            const id = parseInt(e.currentTarget.getAttribute('data-id'));
+            const mission = state.missions.find(m => m.id === id);
+            if (!confirm(`Remover a missão "${mission.title}"?`)) return;
+            state.missions = state.missions.filter(m => m.id !== id);
+            if (parseInt(elements.missionEditId.value) === id) fillMissionForm(null);
+            commitMissionPool();
+          });
+        });
+      }
+
+      const weekdayNames = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+      function describeSchedule(mission) {
+        const schedule = mission.schedule || { type: 'daily' };
+        let text = 'todo dia';
+        if (schedule.type === 'weekdays') text = schedule.days.map(d => weekdayNames[d]).join(', ');
+        else if (schedule.type === 'weekly') text = '1x por semana';
+        else if (schedule.type === 'once') text = `em ${schedule.date}`;
+        if (mission.mandatory) text += ' · obrigatória';
+        return mission.requiresApproval ? `${text} · com aprovação` : text;
+      }
+
+      function updateScheduleFields() {
+        const type = elements.missionEditSchedule.value;
+        elements.missionEditDays.classList.toggle('hidden', type !== 'weekdays');
+        elements.missionEditDate.classList.toggle('hidden', type !== 'once');
+      }
+
+      function readScheduleForm() {
+        const type = elements.missionEditSchedule.value;
+        if (type === 'weekdays') {
+          const days = [...elements.missionEditDays.querySelectorAll('input:checked')].map(box => parseInt(box.value));
+          return days.length ? { type, days } : null;
+        }
+        if (type === 'once') return elements.missionEditDate.value ? { type, date: elements.missionEditDate.value } : null;
+        return { type };
+      }
+
+      function fillMissionForm(mission) {
+        elements.missionEditId.value = mission ? mission.id : '';
+        elements.missionEditIcon.value = mission ? mission.icon : '';
+        elements.missionEditTitle.value = mission ? mission.title : '';
+        elements.missionEditReward.value = mission ? mission.reward : '';
+        elements.missionEditCategory.value = mission ? mission.category : 'outros';
+        elements.missionEditEnabled.checked = mission ? mission.enabled : true;
+        elements.missionEditMandatory.checked = mission ? mission.mandatory : false;
+        elements.missionEditApproval.checked = mission ? mission.requiresApproval : false;
+        const schedule = mission ? mission.schedule : { type: 'daily' };
+        elements.missionEditSchedule.value = schedule.type;
+        elements.missionEditDays.querySelectorAll('input').forEach(box => {
+          box.checked = schedule.type === 'weekdays' && schedule.days.includes(parseInt(box.value));
+        });
+        elements.missionEditDate.value = schedule.type === 'once' ? schedule.date : '';
+        updateScheduleFields();
+        elements.missionEditSave.textContent = mission ? "Salvar missão" : "Adicionar missão";
+      }
+
+      function saveMissionForm() {
+        const title = elements.missionEditTitle.value.trim();
+        const reward = parseInt(elements.missionEditReward.value);
+        if (!title) return showToast("Dê um título para a missão!", false);
+        if (isNaN(reward) || reward <= 0) return showToast("Digite uma recompensa válida!", false);
+        const schedule = readScheduleForm();
+        if (!schedule) return showToast("Escolha os dias ou a data da missão!", false);
+        const fields = {
+          title,
+          reward,
+          category: elements.missionEditCategory.value,
+          icon: elements.missionEditIcon.value.trim() || '⭐',
+          enabled: elements.missionEditEnabled.checked,
+          mandatory: elements.missionEditMandatory.checked,
+          requiresApproval: elements.missionEditApproval.checked,
+          schedule
+        };
+        const editingId = parseInt(elements.missionEditId.value);
+        const existing = state.missions.find(m => m.id === editingId);
+        if (existing) Object.assign(existing, fields);
+        else state.missions.push(Object.assign({ id: state.missions.reduce((max, m) => Math.max(max, m.id), 0) + 1 }, fields));
+        commitMissionPool();
+        fillMissionForm(null);
+        showToast(existing ? `Missão "${title}" atualizada!` : `Missão "${title}" adicionada!`);
+      }
+
+      function commitMissionPool() {
+        saveMissionPool();
+        reconcileTodayMissions();
+        renderMissionEditor();
+        renderMissions();
+        renderDashboard();
+      }
+
+      function closeAdminPanel() {
+        elements.adminModal.classList.add('hidden');
+        [elements.adminAdjustAmount, elements.adminAdjustReason, elements.adminBalanceValue, elements.adminBalanceReason,
+         elements.adminQrSecret, elements.adminNewPin].forEach(input => { input.value = ''; });
+        fillMissionForm(null);
+        fillAllowanceForm(null);
+        fillProfileForm(null);
+        cancelBackupImport();
+        elements.integrityResult.innerHTML = '';
+      }
+
+      // ======================================================
+      // === SINCRONIZAÇÃO DA FAMÍLIA =========================
+      // ======================================================
+      // Opcional: com um servidor da família (sync-server.js) configurado, as entradas do ledger
+      // de cada perfil são enviadas para ele e as dos outros aparelhos voltam e entram pelo
+      // MigLedger.merge, que recusa as que não têm a assinatura da família. O que é feito sem rede fica na fila (outbox em migstar_sync) até o
+      // próximo envio que der certo; a sincronização roda a cada SYNC_INTERVAL e logo depois
+      // de cada movimentação.
+      const SYNC_INTERVAL = 30 * 1000;
+      const SYNC_DELAY = 2000;
+      const SYNC_TIMEOUT = 10 * 1000;
+
+      function loadSync() {
+        return MigSchema.readJSON(S, 'migstar_sync', validators.object) ||
+          { url: '', token: '', deviceId: 'd' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), cursor: 0, outbox: [] };
+      }
+      function saveSync(sync) { sSet('migstar_sync', JSON.stringify(sync)); }
+
+      let syncTimer = null;
+      function queueSync(profileId, entryId) {
+        const sync = loadSync();
+        if (!sync.url) return;
+        sync.outbox.push({ profileId, entryId });
+        saveSync(sync);
+        clearTimeout(syncTimer);
+        syncTimer = setTimeout(syncNow, SYNC_DELAY);
+      }
+
+      async function syncRequest(sync, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), SYNC_TIMEOUT);
+        let response;
+        try {
+          response = await fetch(`${sync.url}/sync`, {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, sync.token ? { Authorization: `Bearer ${sync.token}` } : {}),
+            body: JSON.stringify(body),
+            signal: controller.signal
+          });
+        } catch (e) {
+          throw new Error("Servidor fora do ar ou sem rede");
+        } finally {
+          clearTimeout(timer);
+        }
+        if (response.status === 401) throw new Error("Senha da família incorreta");
+        if (!response.ok) throw new Error(`O servidor respondeu ${response.status}`);
+        return response.json();
+      }
+
+      const isSyncEntry = item => item && typeof item.profileId === 'string' && item.entry &&
+        typeof item.entry.id === 'string' && typeof item.entry.date === 'string' && Number.isInteger(item.entry.delta);
+
+      // os perfis também vão assinados: sem a chave da família ninguém inclui uma criança nos aparelhos
+      function profileSignature(profile, key) {
+        return MigLedger.hmac(key, JSON.stringify(['profile', profile.id, profile.name, profile.avatar]));
+      }
+
+      function isSignedProfile(profile, key) {
+        return profile && typeof profile.id === 'string' && typeof profile.name === 'string' &&
+          typeof profile.avatar === 'string' && profile.sig === profileSignature(profile, key);
+      }
+
+      // junta o que veio do servidor: perfis novos entram na lista, entradas entram no ledger de cada
+      // perfil. Devolve quantas entradas e perfis foram recusados (sem assinatura) e quantas
+      // entradas estão em conflito.
+      function applySyncResponse(body) {
+        const key = getQRKey();
+        const totals = { rejected: 0, conflicts: 0, rejectedProfiles: 0 };
+        let profilesChanged = false;
+        (body.profiles || []).forEach(profile => {
+          if (!isSignedProfile(profile, key)) {
+            totals.rejectedProfiles++;
+            return;
+          }
+          if (state.profiles.some(p => p.id === profile.id)) return;
+          state.profiles.push({ id: profile.id, name: profile.name, avatar: profile.avatar });
+          sSet(pKey('user', profile.id), JSON.stringify({ name: profile.name, stars: 0, lastAssignedDate: null, completedMissionsToday: [] }));
+          profilesChanged = true;
+        });
+        if (profilesChanged) saveProfiles();
+
+        const byProfile = {};
+        (body.entries || []).filter(isSyncEntry).forEach(item => {
+          (byProfile[item.profileId] = byProfile[item.profileId] || []).push(item.entry);
+        });
+        let activeChanged = false;
+        Object.keys(byProfile).forEach(profileId => {
+          const user = loadProfileUser(profileId);
+          if (!user) return;
+          const { ledger, changed, rejected, conflicts } = MigLedger.merge(loadLedger(profileId), byProfile[profileId], key);
+          totals.rejected += rejected.length;
+          totals.conflicts += conflicts.length;
+          if (!changed) return;
+          sSet(pKey('ledger', profileId), JSON.stringify(ledger));
+          user.stars = MigLedger.balance(ledger);
+          sSet(pKey('user', profileId), JSON.stringify(user));
+          if (profileId === state.activeProfileId) activeChanged = true;
+        });
+        if (activeChanged) loadState();
+        if (activeChanged || profilesChanged) renderUI();
+        return totals;
+      }
+
+      function syncWarning({ rejected, conflicts, rejectedProfiles }) {
+        const parts = [];
+        if (rejected) parts.push(`${rejected} movimentação(ões) recusada(s) por não ter a assinatura da família`);
+        if (rejectedProfiles) parts.push(`${rejectedProfiles} criança(s) do servidor recusada(s) por não ter a assinatura da família`);
+        if (conflicts) parts.push(`${conflicts} movimentação(ões) diferente(s) da versão do servidor`);
+        return parts.length ? parts.join('; ') : null;
+      }
+
+      let syncing = false;
+      async function syncNow() {
+        const sync = loadSync();
+        if (!sync.url || syncing) return;
+        const key = getQRKey();
+        if (!key) {
+          saveSync(Object.assign(sync, { lastError: { message: MISSING_QR_KEY, date: new Date().toISOString() } }));
+          return renderSyncStatus();
+        }
+        syncing = true;
+        const sent = sync.outbox.slice();
+        const ledgers = {};
+        const entries = sent.map(({ profileId, entryId }) => {
+          const ledger = ledgers[profileId] = ledgers[profileId] || loadLedger(profileId);
+          const entry = ledger.find(e => e.id === entryId);
+          return entry && { profileId, entry: MigLedger.strip(entry) };
+        }).filter(Boolean);
+        try {
+          const profiles = state.profiles.map(p => Object.assign({}, p, { sig: profileSignature(p, key) }));
+          const body = await syncRequest(sync, { deviceId: sync.deviceId, cursor: sync.cursor, entries, profiles });
+          const totals = applySyncResponse(body);
+          // a fila pode ter crescido enquanto esperava o servidor: tira só o que foi enviado
+          const latest = loadSync();
+          latest.lastWarning = syncWarning(totals);
+          latest.outbox = latest.outbox.filter(o => !sent.some(s => s.profileId === o.profileId && s.entryId === o.entryId));
+          latest.cursor = body.cursor;
+          latest.lastSync = new Date().toISOString();
+          latest.lastError = null;
+          saveSync(latest);
+        } catch (e) {
+          const latest = loadSync();
+          latest.lastError = { message: e.message, date: new Date().toISOString() };
+          saveSync(latest);
+        } finally {
+          syncing = false;
+          renderSyncStatus();
+        }
+      }
+
+      // primeiro contato: se o servidor já tem uma criança, este aparelho adota o ledger de lá
+      // para ela; as crianças que só existem aqui são enviadas inteiras
+      async function connectSync() {
+        const url = elements.syncUrl.value.trim().replace(/\/+$/, '');
+        if (!/^https?:\/\//.test(url)) return showToast("Digite o endereço do servidor (http://...)", false);
+        if (!elements.syncToken.value) return showToast("Digite a senha da família do servidor.", false);
+        // as entradas vão e voltam assinadas com a chave da família
+        const key = getQRKey();
+        if (!key) return showToast(MISSING_QR_KEY, false);
+        const sync = Object.assign(loadSync(), { url, token: elements.syncToken.value, cursor: 0, outbox: [], lastError: null, lastWarning: null });
+        let body;
+        try {
+          body = await syncRequest(sync, { deviceId: sync.deviceId, cursor: 0, entries: [], profiles: [] });
+        } catch (e) {
+          return showToast(e.message, false);
+        }
+        // antes de trocar qualquer dado: só conta o que tem a assinatura desta família (uma versão
+        // falsa mandada por outro aparelho não faz ninguém trocar os dados daqui)
+        const remoteEntries = (body.entries || []).filter(isSyncEntry);
+        const signedEntries = remoteEntries.filter(i => MigLedger.merge([], [i.entry], key).added.length);
+        const remoteIds = new Set((body.profiles || []).filter(p => isSignedProfile(p, key)).map(p => p.id)
+          .concat(signedEntries.map(i => i.profileId)));
+        const adopted = state.profiles.filter(p => remoteIds.has(p.id));
+        if (adopted.length && !confirm(`O servidor já tem dados de ${adopted.map(p => p.name).join(', ')}. Os dados deste aparelho para ${adopted.length > 1 ? 'elas' : 'ela'} serão trocados pelos do servidor. Continuar?`)) return;
+        adopted.forEach(p => sSet(pKey('ledger', p.id), '[]'));
+        sync.cursor = body.cursor;
+        sync.outbox = state.profiles
+          .filter(p => !remoteIds.has(p.id))
+          .flatMap(p => loadLedger(p.id).map(e => ({ profileId: p.id, entryId: e.id })));
+        saveSync(sync);
+        applySyncResponse(body);
+        if (adopted.some(p => p.id === state.activeProfileId)) { loadState(); renderUI(); }
+        elements.syncToken.value = '';
+        await syncNow();
+        renderProfileOverview();
+        if (loadSync().lastError) return showToast(loadSync().lastError.message, false);
+        // nada do que o servidor tem confere: a senha do DanStar deste aparelho deve ser outra
+        if (remoteEntries.length && !signedEntries.length) return showToast("Conectado, mas as movimentações do servidor têm outra assinatura: confira a senha do DanStar.", false);
+        showToast("Aparelho conectado à família!");
+      }
+
+      function disconnectSync() {
+        const sync = loadSync();
+        saveSync(Object.assign(sync, { url: '', token: '', cursor: 0, outbox: [], lastError: null, lastWarning: null }));
+        renderSyncStatus();
+        showToast("Sincronização desligada neste aparelho.");
+      }
+
+      function renderSyncStatus() {
+        const sync = loadSync();
+        const connected = !!sync.url;
+        elements.syncUrl.value = sync.url || elements.syncUrl.value;
+        elements.syncNowBtn.classList.toggle('hidden', !connected);
+        elements.syncDisconnectBtn.classList.toggle('hidden', !connected);
+        elements.syncPairQRBtn.classList.toggle('hidden', !connected);
+        if (!connected) {
+          elements.syncStatus.innerHTML = 'Desligada neste aparelho.';
+          return;
+        }
+        elements.syncStatus.innerHTML = `
+          <p>${sync.lastSync ? `Última sincronização: ${new Date(sync.lastSync).toLocaleString()}` : 'Ainda não sincronizou.'}</p>
+          <p>${sync.outbox.length} movimentação(ões) esperando envio</p>
+          ${sync.lastWarning ? `<p class="text-yellow-600">⚠️ ${sync.lastWarning}</p>` : ''}
+          ${sync.lastError ? `<p class="text-red-600">⚠️ ${sync.lastError.message} (${new Date(sync.lastError.date).toLocaleString()})</p>` : ''}`;
+      }
+
+      // ======================================================
+      // === ARMAZENAMENTO ====================================
+      // ======================================================
+      const storageBackendNames = { localStorage: 'localStorage', indexedDB: 'IndexedDB', cookies: 'Cookies', memory: 'Memória (não salva!)' };
+
+      function renderStorageDiagnostics() {
+        const info = S.diagnostics();
+        const backendName = storageBackendNames[info.backend] || info.backend.replace('android:', 'Android ');
+        const healthy = info.healthy && info.backend !== 'memory';
+        elements.storageDiagnostics.innerHTML = `
+          <p class="font-medium ${healthy ? 'text-green-600' : 'text-red-600'}">${healthy ? '✅' : '⚠️'} ${backendName}</p>
+          <p>${info.keys} chaves · ${(info.bytes / 1024).toFixed(1)} KB · ${info.pendingWrites} gravação(ões) pendente(s)</p>
+          ${info.migratedFrom ? `<p>Dados trazidos de ${storageBackendNames[info.migratedFrom] || info.migratedFrom}</p>` : ''}
+          ${info.errors ? `<p class="text-red-600">${info.errors} erro(s); último: ${info.lastError.op} ${info.lastError.key || ''} — ${info.lastError.message} (${new Date(info.lastError.date).toLocaleString()})</p>` : ''}`;
+      }
+
+      async function flushStorage() {
+        await S.flush();
+        renderStorageDiagnostics();
+        showToast(S.diagnostics().healthy ? "Tudo gravado!" : "Algumas gravações falharam", S.diagnostics().healthy);
+      }
+
+      // avisa uma vez a cada tanto, para não empilhar toasts se várias gravações falharem seguidas
+      let lastStorageWarning = 0;
+      S.on('error', () => {
+        if (Date.now() - lastStorageWarning < 30000) return;
+        lastStorageWarning = Date.now();
+        showToast("⚠️ Não foi possível salvar os dados neste aparelho", false);
+      });
+
+      // ======================================================
+      // === INTEGRIDADE DO LEDGER ============================
+      // ======================================================
+      // confere a corrente de hashes e as assinaturas de cada perfil e se a cópia do saldo bate
+      // com o ledger. Só relata: quem decide aceitar o que está gravado é o responsável
+      // (acceptLedger), nada é corrigido sozinho.
+      function verifyIntegrity() {
+        const key = getQRKey();
+        // confere o que está gravado, não o que está em memória
+        const reports = state.profiles.map(profile => {
+          const ledger = loadLedger(profile.id);
+          const user = loadProfileUser(profile.id);
+          const result = MigLedger.verify(ledger, key);
+          const problems = result.problems.map(p => `#${p.seq}: ${p.problem}`);
+          if (user && user.stars !== result.balance) {
+            problems.push(`saldo salvo é ${user.stars} ${STAR_SYMBOL}, mas as movimentações somam ${result.balance} ${STAR_SYMBOL}`);
           }
-          container.appendChild(h);
+          return { profile, entries: ledger.length, balance: result.balance, problems };
         });
+        elements.integrityResult.innerHTML = (key ? '' : `<p class="text-sm text-red-600">⚠️ ${MISSING_QR_KEY} As assinaturas não foram conferidas.</p>`) +
+          reports.map(r => `
+          <div class="p-2 rounded-lg text-sm border ${r.problems.length ? 'border-red-200 bg-red-50' : 'border-green-200 bg-green-50'}">
+            <p class="font-medium">${r.problems.length ? '⚠️' : '✅'} ${escapeHTML(r.profile.avatar)} ${escapeHTML(r.profile.name)}: ${r.balance} ${STAR_SYMBOL} · ${r.entries} movimentações</p>
+            ${r.problems.length ? `<ul class="list-disc ml-5 text-red-600">${r.problems.map(p => `<li>${p}</li>`).join('')}</ul>
+              <button class="integrity-accept-btn mt-1 bg-red-100 text-red-600 rounded-lg px-2 py-1" data-id="${r.profile.id}">Aceitar como está</button>` : '<p class="text-green-600">Tudo certo.</p>'}
+          </div>`).join('');
+        elements.integrityResult.querySelectorAll('.integrity-accept-btn').forEach(btn => {
+          btn.addEventListener('click', (e) => acceptLedger(e.currentTarget.getAttribute('data-id')));
+        });
+      }
+
+      // o responsável aceita as movimentações gravadas: refaz a corrente, assina de novo com a
+      // chave atual e acerta a cópia do saldo
+      function acceptLedger(profileId) {
+        const profile = state.profiles.find(p => p.id === profileId);
+        if (!profile || !confirm(`Aceitar as movimentações de ${profile.name} como estão gravadas? Entradas alteradas passam a valer.`)) return;
+        const key = getQRKey();
+        const ledger = key ? MigLedger.rechain(loadLedger(profileId), key) : loadLedger(profileId);
+        sSet(pKey('ledger', profileId), JSON.stringify(ledger));
+        const user = loadProfileUser(profileId);
+        if (user) {
+          user.stars = MigLedger.balance(ledger);
+          sSet(pKey('user', profileId), JSON.stringify(user));
+        }
+        loadState();
+        renderDashboard();
+        renderProfileOverview();
+        verifyIntegrity();
+        showToast(`Movimentações de ${profile.name} aceitas.`);
       }
 
+      // troca da chave da família: as entradas de cada perfil são assinadas de novo com a nova,
+      // mas só se estiverem íntegras com a antiga (senão a troca esconderia uma alteração).
+      // Na primeira senha (sem chave antiga) só a corrente é conferida: assina o que foi gravado
+      // antes dela, como os ledgers migrados do histórico. Devolve os nomes dos perfis com problema; com algum, nada é trocado.
+      function resignLedgers(oldKey, newKey) {
+        const ledgers = state.profiles.map(profile => ({ profile, ledger: loadLedger(profile.id) }));
+        const broken = ledgers.filter(({ ledger }) => !MigLedger.verify(ledger, oldKey).ok).map(({ profile }) => profile.name);
+        if (broken.length) return broken;
+        ledgers.forEach(({ profile, ledger }) => sSet(pKey('ledger', profile.id), JSON.stringify(MigLedger.rechain(ledger, newKey))));
+        loadState();
+        return [];
+      }
+
+      // ======================================================
+      // === BACKUP (exportar / importar) =====================
+      // ======================================================
+      let pendingBackup = null;
+
+      async function exportBackup() {
+        const key = getQRKey();
+        if (!key) return showToast(MISSING_QR_KEY, false);
+        const backup = await MigBackup.create(S, key);
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `migstar-backup-${state.todayDate}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        showToast(`Backup exportado (${Object.keys(backup.data).length} itens)`);
+      }
+
+      async function previewBackup(file) {
+        try {
+          pendingBackup = await MigBackup.parse(await file.text(), getQRKey());
+        } catch (e) {
+          pendingBackup = null;
+          elements.backupPreview.classList.add('hidden');
+          return showToast(e.message, false);
+        }
+        const now = MigBackup.summarize(MigBackup.currentData(S));
+        const incoming = MigBackup.summarize(pendingBackup.data);
+        const rows = incoming.profiles.map(p => {
+          const current = now.profiles.find(c => c.id === p.id);
+          return current
+            ? `<li>${escapeHTML(p.avatar)} ${escapeHTML(p.name)}: saldo ${current.stars} → <b>${p.stars}</b> ${STAR_SYMBOL}, histórico ${current.history} → <b>${p.history}</b> itens</li>`
+            : `<li>${escapeHTML(p.avatar)} ${escapeHTML(p.name)}: <b>novo</b>, saldo ${p.stars} ${STAR_SYMBOL}, ${p.history} itens no histórico</li>`;
+        });
+        now.profiles.filter(c => !incoming.profiles.some(p => p.id === c.id)).forEach(c => {
+          rows.push(`<li>${escapeHTML(c.avatar)} ${escapeHTML(c.name)}: <b>será removido</b> (saldo ${c.stars} ${STAR_SYMBOL})</li>`);
+        });
+        elements.backupPreviewText.innerHTML = `
+          <p class="mb-1">Backup de ${new Date(pendingBackup.createdAt).toLocaleString()}:</p>
+          <ul class="list-disc ml-5 mb-1">${rows.join('')}</ul>
+          <p class="text-red-500">Os dados atuais serão substituídos.</p>`;
+        elements.backupRestoreGuardian.checked = false;
+        elements.backupPreview.classList.remove('hidden');
+      }
+
+      function cancelBackupImport() {
+        pendingBackup = null;
+        elements.backupFile.value = '';
+        elements.backupPreview.classList.add('hidden');
+      }
+
+      // restaura e recarrega o app pelo mesmo caminho do boot (migra backups antigos);
+      // o PIN do responsável fica o deste aparelho, a não ser que ele marque para trazer o do backup
+      function restoreBackup() {
+        if (!pendingBackup) return;
+        const keep = elements.backupRestoreGuardian.checked ? [] : ['migstar_guardian'];
+        MigBackup.restore(S, pendingBackup, { keep });
+        cancelBackupImport();
+        prepareStorage();
+        loadProfiles();
+        recoverPendingTransfer();
+        loadState();
+        checkNewDay();
+        renderUI();
+        openAdminPanel();
+        S.flush().then(() => {
+          renderStorageDiagnostics();
+          showToast("Backup restaurado!");
+        });
+      }
+
+      // apaga tudo (inclusive a sincronização, senão os dados voltariam do servidor) menos o PIN
       function resetLocalStorage() {
-        if (confirm("Tem certeza que deseja resetar todos os dados? Isso não pode ser desfeito.")) {
-          sRemove('migstar_user'); sRemove('migstar_missionPool'); sRemove('migstar_transactions'); sRemove('migstar_history'); sRemove('migstar_todayMissions');
-          location.reload();
+        if (confirm("Tem certeza que deseja resetar todos os dados (crianças, estrelas, missões, loja, senha do DanStar e sincronização)? Só o PIN do responsável é mantido. Isso não pode ser desfeito.")) {
+          S.keys().filter(k => k.startsWith('migstar_') && k !== 'migstar_guardian').forEach(sRemove);
+          // no IndexedDB as remoções são assíncronas: espera gravar antes de recarregar
+          S.flush().then(() => location.reload());
         }
       }
 
@@ -558,47 +3154,50 @@ function setupEventListeners() {
   // PEGAR ELEMENTOS
   elements.generateQRBtn = document.getElementById("generateQRBtn");
   elements.scanQRBtn = document.getElementById("scanQRBtn");
+  elements.qrImageBtn = document.getElementById("qrImageBtn");
+  elements.qrImageFile = document.getElementById("qrImageFile");
+  elements.qrCodeInput = document.getElementById("qrCodeInput");
+  elements.qrCodeBtn = document.getElementById("qrCodeBtn");
   elements.qrModal = document.getElementById("qrModal");
   elements.qrCodeArea = document.getElementById("qrCodeArea");
   elements.qrVideo = document.getElementById("qrVideo");
+  elements.qrViewfinder = document.getElementById("qrViewfinder");
   elements.closeQR = document.getElementById("closeQR");
 
-  let scanActive = false;
-  let scanFrame;
+  // leitura em andamento (qrscanner.js); null quando a câmera está desligada
+  let scanner = null;
 
   // ======================================================
-  // === GERAR QR CODE — COMPACTADO EM BASE64 ============
+  // === GERAR QR CODE (MESMO FORMATO DO DANSTAR) =========
   // ======================================================
+  // só o responsável gera: quem ler o QR recebe as estrelas
   elements.generateQRBtn.addEventListener("click", () => {
-    const amount = elements.amount.value;
+    const amount = parseInt(elements.amount.value);
 
-    if (!amount || isNaN(amount) || amount <= 0) {
+    if (isNaN(amount) || amount <= 0) {
       showToast("Informe a quantidade!", false);
       return;
     }
 
-    const payload = {
-      type: "migstar_transfer",
-      from: "Danilo Jorge",
-      amount: parseInt(amount),
-      device: navigator.userAgent,
-      timestamp: Date.now()
-    };
-
-
-    elements.qrCodeArea.innerHTML = "";
-    elements.qrVideo.classList.add("hidden");
-
-const encoded = btoa(JSON.stringify(payload));
+    requireGuardian(async () => {
+      const key = getQRKey();
+      if (!key) {
+        showToast(MISSING_QR_KEY, false);
+        return openAdminPanel();
+      }
+      const text = await MigQR.encode("transfer", { amount, from: GUARDIAN_NAME }, key, { validity: QR_TRANSFER_VALIDITY });
+      showQRText(text, `${amount} ${STAR_SYMBOL} · vale por ${QR_TRANSFER_VALIDITY / 60} minutos · código ${await MigQR.shortCode(text, key)}`);
+      elements.amount.value = '';
+    });
+  });
 
-QRCode.toCanvas(
-  encoded,
-  { width: 250 },
-  (err, canvas) => {
-    if (!err) elements.qrCodeArea.appendChild(canvas);
-  }
-);
-    elements.qrModal.classList.remove("hidden");
+  // outro aparelho lê este QR e entra na mesma sincronização (leva a senha da família)
+  elements.syncPairQRBtn.addEventListener("click", async () => {
+    const sync = loadSync();
+    if (!sync.url) return showToast("Conecte este aparelho primeiro.", false);
+    if (!getQRKey()) return showToast(MISSING_QR_KEY, false);
+    const text = await MigQR.encode("pairing", { url: sync.url, token: sync.token }, getQRKey(), { validity: 10 * 60 });
+    showQRText(text, "Leia no outro aparelho em Transferir → Ler QR Code (vale 10 minutos)");
   });
 
   // FECHAR O MODAL
@@ -608,155 +3207,186 @@ QRCode.toCanvas(
   });
 
   function stopCamera() {
-    scanActive = false;
-
-    const stream = elements.qrVideo.srcObject;
-    if (stream) stream.getTracks().forEach(t => t.stop());
-
-    elements.qrVideo.srcObject = null;
-    cancelAnimationFrame(scanFrame);
+    if (scanner) scanner.stop();
+    scanner = null;
+    elements.qrViewfinder.classList.add("hidden");
   }
 
+  // a câmera não fica ligada com o app em segundo plano nem depois de sair da página
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden && scanner) {
+      elements.qrModal.classList.add("hidden");
+      stopCamera();
+    }
+  });
+  window.addEventListener("pagehide", stopCamera);
+
   // ======================================================
-  // === INICIAR LEITURA DO QR EM ALTA RESOLUÇÃO =========
+  // === LER QR PELA CÂMERA (RECORTE CENTRAL, EM WORKER) ==
   // ======================================================
   elements.scanQRBtn.addEventListener("click", startScanning);
 
-function startScanning() {
+  function startScanning() {
+    stopCamera();
     elements.qrCodeArea.innerHTML = "";
-    elements.qrVideo.classList.remove("hidden");
-
-    navigator.mediaDevices.getUserMedia({
-        video: {
-            facingMode: "environment",
-            width: { ideal: 1280 },
-            height: { ideal: 720 }
-        }
-    })
-    .then(stream => {
-        elements.qrVideo.srcObject = stream;
-
-        elements.qrVideo.onloadedmetadata = () => {
-            elements.qrVideo.play();
-        };
-
-        elements.qrVideo.onloadeddata = () => {
-            scanActive = true;
-            scanLoop();
-        };
+    elements.qrViewfinder.classList.remove("hidden");
+    elements.qrModal.classList.remove("hidden");
 
-        elements.qrModal.classList.remove("hidden");
-    })
-    .catch(() => {
-        showToast("Câmera não disponível!", false);
+    const current = scanner = MigScanner.start(elements.qrVideo, {
+      onResult: text => {
+        elements.qrModal.classList.add("hidden");
+        stopCamera();
+        handleQR(text).catch(() => showToast("Não foi possível ler o QR.", false));
+      },
+      onTimeout: () => {
+        elements.qrModal.classList.add("hidden");
+        stopCamera();
+        showToast("Nenhum QR encontrado. Tente de novo, use uma foto ou digite o código.", false);
+      }
     });
-}
 
+    current.ready.catch(() => {
+      if (scanner !== current) return;
+      elements.qrModal.classList.add("hidden");
+      stopCamera();
+      showToast("Câmera não disponível! Use uma foto do QR ou digite o código.", false);
+    });
+  }
 
   // ======================================================
-  // === LOOP DE LEITURA — 60 FPS, ESPERA VÍDEO ===========
+  // === SEM CÂMERA: FOTO DO QR OU CÓDIGO DIGITADO ========
   // ======================================================
-function scanLoop() {
-    if (!scanActive) return;
-
-    const video = elements.qrVideo;
-
-    // AQUI está o pulo do gato:
-    // o Android às vezes ativa a camera mas demora 200–500ms pra mandar o vídeo
-    if (video.readyState < 2 || video.videoWidth === 0) {
-        scanFrame = requestAnimationFrame(scanLoop);
-        return;
-    }
+  elements.qrImageBtn.addEventListener("click", () => elements.qrImageFile.click());
 
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d");
-
-    canvas.width = video.videoWidth;
-    canvas.height = video.videoHeight;
+  elements.qrImageFile.addEventListener("change", () => {
+    const file = elements.qrImageFile.files[0];
+    elements.qrImageFile.value = '';
+    if (file) readQRImage(file);
+  });
 
-    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  elements.qrCodeBtn.addEventListener("click", () => {
+    const text = elements.qrCodeInput.value.trim();
+    if (!text) return showToast("Digite ou cole o código do QR!", false);
+    handleQR(text).then(() => { elements.qrCodeInput.value = ''; })
+      .catch(() => showToast("Não foi possível ler o código.", false));
+  });
 
-    const frame = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const qr = jsQR(frame.data, canvas.width, canvas.height);
+  async function readQRImage(blob) {
+    let text;
+    try {
+      text = await decodeQRImage(blob);
+    } catch (e) {
+      return showToast("Não consegui abrir essa imagem.", false);
+    }
+    if (!text) return showToast("Não achei um QR nessa imagem. Tente uma foto mais de perto.", false);
+    await handleQR(text);
+  }
 
-    if (qr) {
-        scanActive = false;
-        stopCamera();
+  // foto compartilhada com o app: o service worker guarda a imagem e abre o app com ?shared-image
+  async function readSharedQRImage() {
+    if (!/[?&]shared-image\b/.test(location.search) || !window.caches) return;
+    history.replaceState(null, '', location.pathname);
+    const cache = await caches.open(SHARE_CACHE);
+    const response = await cache.match('shared-image');
+    await caches.delete(SHARE_CACHE);
+    if (!response) return showToast("A imagem compartilhada não chegou. Tente de novo.", false);
+    await readQRImage(await response.blob());
+  }
 
-        try {
-            const decoded = JSON.parse(atob(qr.data));
-            handleQR(decoded);
-        } catch (err) {
-            showToast("QR inválido!", false);
-        }
+  readSharedQRImage().catch(() => showToast("Não foi possível ler a imagem compartilhada.", false));
 
-        return;
-    }
-
-    scanFrame = requestAnimationFrame(scanLoop);
-}
 
 
   // ======================================================
   // === RESTO DAS FUNÇÕES ORIGINAIS ======================
   // ======================================================
 
-function handleQR(data) {
+async function handleQR(text) {
 
-  // precisa ser do novo formato
-  if (!data || data.type !== "migstar_transfer_v2") {
-    showToast("QR inválido ou antigo!", false);
+  // cada recusa diz o motivo: outro app, versão antiga, assinatura, validade, já usado...
+  const result = await decodeQR(text);
+  if (!result.ok) {
+    showToast(result.message, false);
     return;
   }
 
-  const amount = data.amount;
-
-  // trava nova leitura
-  scanActive = false;
+  const handler = qrHandlers[result.type];
+  if (!handler) {
+    showToast(`QR de ${MigQR.describe(result.type)} não é aceito aqui.`, false);
+    return;
+  }
 
   // fecha modal de leitura
   elements.qrModal.classList.add("hidden");
   stopCamera();
 
-  // animação cinematográfica
-  playReceiveAnimation(amount, () => {
-    // quando animação terminar → aplica as estrelas
+  handler(result);
+}
 
-    state.user.stars += amount;
-    saveUser();
-    updateBalance(state.user.stars);
+const qrHandlers = {
+  // com requestId é o pagamento de um pedido: só vale se o pedido estiver pendente aqui
+  transfer({ data, nonce, exp }) {
+    const amount = data.amount;
+    const match = data.requestId && paymentRequests().find(r => r.request.requestId === data.requestId);
+    if (data.requestId) {
+      const error = paymentMatchError(data);
+      if (error) {
+        showToast(error, false);
+        return;
+      }
+    }
 
-    const transaction = {
-      from: "DanStar",
-      to: state.user.name,
-      amount,
-      datetime: new Date().toISOString()
-    };
+    // queima o nonce antes da animação para o mesmo QR não ser lido duas vezes
+    markNonceUsed(nonce, exp);
 
-    state.transactions.unshift(transaction);
-    saveTransactions();
+    // animação cinematográfica
+    playReceiveAnimation(amount, () => {
+      // quando animação terminar → aplica as estrelas
 
-    const historyItem = {
-      type: "transaction",
-      from: transaction.from,
-      to: transaction.to,
-      amount: transaction.amount,
-      date: transaction.datetime
-    };
+      const payment = match ? { requestId: data.requestId, note: match.request.memo } : {};
+      postEntry("transaction", amount, Object.assign({ from: data.from || "DanStar", to: state.user.name, amount }, payment));
+      updateBalance(state.user.stars);
 
-    state.history.unshift(historyItem);
-    saveHistory();
+      renderDashboard();
+      renderStore();
+      renderHistory();
+      renderTransfer();
 
-    renderDashboard();
-    renderHistory("all");
+      showToast(match ? `Pedido pago: +${amount} estrelas! ✨` : `+${amount} estrelas recebidas! ✨`, true);
+    });
+  },
 
-    showToast(`+${amount} estrelas recebidas! ✨`, true);
-  });
+  mission({ data, nonce, exp }) {
+    if (data.profileId && data.profileId !== state.activeProfileId) {
+      const owner = state.profiles.find(p => p.id === data.profileId);
+      showToast(`Essa missão é para ${owner ? owner.name : 'outra criança'}.`, false);
+      return;
+    }
+    markNonceUsed(nonce, exp);
+    const mission = assignQRMission(data, nonce);
+    renderMissions();
+    renderDashboard();
+    showToast(`Nova missão: ${mission.icon} ${mission.title} (${mission.reward} ${STAR_SYMBOL})`);
+  },
+
+  // liga este aparelho no servidor da família; o responsável confirma com o PIN
+  pairing({ data, nonce, exp }) {
+    requireGuardian(async () => {
+      markNonceUsed(nonce, exp);
+      elements.syncUrl.value = data.url;
+      elements.syncToken.value = data.token || '';
+      await connectSync();
+    });
+  },
 
-}
+  paymentRequest({ data }) {
+    showToast(`Pedido de ${data.amount} ${STAR_SYMBOL} de ${data.name}: quem aprova é o responsável, lendo no DanStar.`, false);
+  }
+};
 
   elements.tabButtons.forEach(btn => {
     btn.addEventListener('click', ()=> {
+      stopCamera();
       elements.tabButtons.forEach(b=>{
         b.classList.remove('text-blue-600','border-blue-600');
         b.classList.add('text-blue-500','hover:text-blue-600');
@@ -777,75 +3407,223 @@ function handleQR(data) {
       showToast("Digite uma quantidade válida!", false);
       return;
     }
-    elements.passwordModal.classList.remove('hidden');
-    elements.passwordInput.focus();
+    requireGuardian(()=> {
+      if (receiveFromSender()) elements.amount.value = '';
+    });
   });
 
+  elements.sendBtn.addEventListener('click', sendStars);
+  elements.requestBtn.addEventListener('click', createPaymentRequest);
+
   elements.confirmPassword.addEventListener('click', ()=> {
-    const password = elements.passwordInput.value;
-    if (password === "2009") {
-      elements.passwordModal.classList.add('hidden');
-      elements.passwordError.classList.add('hidden');
-      const amount = elements.amount.value;
-      if (receiveStars(amount)) elements.amount.value = '';
-    } else {
-      elements.passwordError.classList.remove('hidden');
-    }
+    submitGuardianPin().catch(() => showPinError("Não foi possível conferir o PIN."));
   });
 
   elements.cancelPassword.addEventListener('click', ()=>{
-    elements.passwordModal.classList.add('hidden');
-    elements.passwordError.classList.add('hidden');
+    guardianCallback = null;
+    closePasswordModal();
   });
 
-  elements.showAll.addEventListener('click', ()=> {
-    elements.showAll.classList.add('text-blue-600','border-blue-600');
-    elements.showAll.classList.remove('text-blue-500','hover:text-blue-600');
-    elements.showTransactions.classList.remove('text-blue-600','border-blue-600');
-    elements.showMissions.classList.remove('text-blue-600','border-blue-600');
-    renderHistory('all');
+  elements.guardianResetBtn.addEventListener('click', resetAllData);
+
+  // ======================================================
+  // === ÁREA DO RESPONSÁVEL ==============================
+  // ======================================================
+  elements.guardianBtn.addEventListener('click', ()=> requireGuardian(openAdminPanel));
+  elements.closeAdmin.addEventListener('click', closeAdminPanel);
+
+  elements.adminAdjustBtn.addEventListener('click', ()=> {
+    const amount = parseInt(elements.adminAdjustAmount.value);
+    const reason = elements.adminAdjustReason.value.trim();
+    if (isNaN(amount) || amount <= 0) return showToast("Digite uma quantidade válida!", false);
+    if (!reason) return showToast("Informe o motivo do ajuste!", false);
+    const isDebit = elements.adminAdjustType.value === 'debit';
+    if (isDebit && amount > state.user.stars) return showToast("O débito é maior que o saldo!", false);
+    applyAdjustment(isDebit ? -amount : amount, reason);
+    elements.adminAdjustAmount.value = '';
+    elements.adminAdjustReason.value = '';
+    showToast(`${isDebit ? 'Débito' : 'Crédito'} de ${amount} estrelas aplicado.`);
   });
 
-  elements.showTransactions.addEventListener('click', ()=> {
-    elements.showTransactions.classList.add('text-blue-600','border-blue-600');
-    elements.showTransactions.classList.remove('text-blue-500','hover:text-blue-600');
-    elements.showAll.classList.remove('text-blue-600','border-blue-600');
-    elements.showMissions.classList.remove('text-blue-600','border-blue-600');
-    renderHistory('transactions');
+  elements.adminBalanceBtn.addEventListener('click', ()=> {
+    const target = parseInt(elements.adminBalanceValue.value);
+    const reason = elements.adminBalanceReason.value.trim();
+    if (isNaN(target) || target < 0) return showToast("Digite um saldo válido!", false);
+    if (!reason) return showToast("Informe o motivo da alteração!", false);
+    if (target === state.user.stars) return showToast("O saldo já é esse!", false);
+    applyAdjustment(target - state.user.stars, reason);
+    elements.adminBalanceValue.value = '';
+    elements.adminBalanceReason.value = '';
+    showToast(`Saldo alterado para ${target} estrelas.`);
   });
 
-  elements.showMissions.addEventListener('click', ()=> {
-    elements.showMissions.classList.add('text-blue-600','border-blue-600');
-    elements.showMissions.classList.remove('text-blue-500','hover:text-blue-600');
-    elements.showAll.classList.remove('text-blue-600','border-blue-600');
-    elements.showTransactions.classList.remove('text-blue-600','border-blue-600');
-    renderHistory('missions');
+  elements.missionEditCategory.innerHTML = Object.keys(missionCategories)
+    .map(key => `<option value="${key}">${missionCategories[key]}</option>`).join('');
+  elements.profileEditAvatar.innerHTML = profileAvatars.map(avatar => `<option value="${avatar}">${avatar}</option>`).join('');
+  elements.profileEditSave.addEventListener('click', saveProfileForm);
+  elements.profileEditCancel.addEventListener('click', ()=> fillProfileForm(null));
+
+  elements.missionEditDays.innerHTML = weekdayNames
+    .map((name, day) => `<label class="flex items-center"><input type="checkbox" value="${day}" class="mr-1">${name}</label>`).join('');
+  elements.missionEditSchedule.addEventListener('change', updateScheduleFields);
+  elements.missionEditSave.addEventListener('click', saveMissionForm);
+  elements.missionEditCancel.addEventListener('click', ()=> fillMissionForm(null));
+
+  elements.settingMissionWeekdays.innerHTML = weekdayNames
+    .map((name, day) => `<label class="text-xs text-center text-blue-500">${name}<input type="number" min="0" max="10" data-day="${day}" class="w-full p-1 border border-blue-300 rounded text-center"></label>`).join('');
+  elements.saveMissionSettingsBtn.addEventListener('click', saveMissionSettings);
+
+  elements.goalCreateBtn.addEventListener('click', createGoal);
+  elements.goalDepositBtn.addEventListener('click', depositToGoal);
+  elements.saveGoalInterestBtn.addEventListener('click', ()=> {
+    const rate = parseInt(elements.settingGoalInterest.value);
+    if (isNaN(rate) || rate < 0 || rate > 100) return showToast("Os juros vão de 0 a 100%.", false);
+    state.user.goalInterest = { rate, period: elements.settingGoalInterestPeriod.value };
+    saveUser();
+    showToast(rate ? `O cofrinho de ${state.user.name} rende ${rate}%!` : "Cofrinho sem juros.");
   });
 
+  elements.allowanceEditWeekday.innerHTML = weekdayNames.map((name, day) => `<option value="${day}">${name}</option>`).join('');
+  elements.allowanceEditPeriod.addEventListener('change', updateAllowanceFields);
+  elements.allowanceEditSave.addEventListener('click', saveAllowanceForm);
+  elements.allowanceEditCancel.addEventListener('click', ()=> fillAllowanceForm(null));
+
+  elements.storeEditSave.addEventListener('click', saveStoreForm);
+  elements.storeEditCancel.addEventListener('click', ()=> fillStoreForm(null));
+
+  elements.saveSettingsBtn.addEventListener('click', ()=> {
+    const limit = parseInt(elements.settingSendLimit.value);
+    const timeZone = elements.settingTimeZone.value.trim();
+    const resetHour = parseInt(elements.settingResetHour.value);
+    if (isNaN(limit) || limit < 0) return showToast("Digite um limite válido!", false);
+    if (!MigSchedule.isValidTimeZone(timeZone)) return showToast("Fuso horário inválido (ex: America/Sao_Paulo)", false);
+    if (isNaN(resetHour) || resetHour < 0 || resetHour > 23) return showToast("A hora da virada vai de 0 a 23.", false);
+    state.settings.dailySendLimit = limit;
+    state.settings.approveAllMissions = elements.settingApproveAll.checked;
+    state.settings.timeZone = timeZone;
+    state.settings.dayResetHour = resetHour;
+    saveSettings();
+    // com outro fuso ou outra hora de virada, "hoje" pode ter mudado
+    rollDay(false);
+    renderTransfer();
+    showToast("Regras salvas!");
+  });
+
+  elements.adminQrSecretBtn.addEventListener('click', async ()=> {
+    const secret = elements.adminQrSecret.value;
+    if (secret.length < 4) return showToast("A senha do DanStar precisa ter ao menos 4 caracteres.", false);
+    const key = await MigCrypto.deriveKey(secret);
+    const oldKey = getQRKey();
+    if (key === oldKey) return showToast("Essa já é a senha do DanStar.", false);
+    // os outros aparelhos continuariam assinando com a senha antiga
+    if (oldKey && loadSync().url) return showToast("Desligue a sincronização antes de trocar a senha.", false);
+    const broken = resignLedgers(oldKey, key);
+    if (broken.length) return showToast(`Confira a integridade de ${broken.join(', ')} antes de trocar a senha.`, false);
+    sSet('migstar_qrKey', key);
+    elements.adminQrSecret.value = '';
+    elements.adminQrSecretNotice.classList.add('hidden');
+    showToast("Senha do DanStar definida!");
+  });
+
+  elements.adminNewPinBtn.addEventListener('click', async ()=> {
+    const pin = elements.adminNewPin.value;
+    if (!isValidPin(pin)) return showToast("O PIN precisa ter de 4 a 8 números.", false);
+    saveGuardian(Object.assign(await MigCrypto.hashPin(pin), { failedAttempts: 0, lockedUntil: 0 }));
+    elements.adminNewPin.value = '';
+    showToast("PIN atualizado!");
+  });
+
+  const historyFilterButtons = [
+    [elements.showAll, 'all'],
+    [elements.showTransactions, 'transactions'],
+    [elements.showMissions, 'missions'],
+    [elements.showPurchases, 'purchases']
+  ];
+  historyFilterButtons.forEach(([button, filter]) => {
+    button.addEventListener('click', ()=> {
+      historyFilterButtons.forEach(([other]) => {
+        other.classList.remove('text-blue-600','border-blue-600','border-b-2');
+        other.classList.add('text-blue-500','hover:text-blue-600');
+      });
+      button.classList.add('text-blue-600','border-blue-600','border-b-2');
+      button.classList.remove('text-blue-500','hover:text-blue-600');
+      renderHistory(filter);
+    });
+  });
+
+  // busca com uma pequena espera, para não refiltrar a cada letra
+  let historySearchTimer = 0;
+  elements.historySearch.addEventListener('input', ()=> {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(readHistoryFilters, 250);
+  });
+  [elements.historyFrom, elements.historyTo, elements.historyMin, elements.historyMax].forEach(input => {
+    input.addEventListener('change', readHistoryFilters);
+  });
+  elements.historyClearBtn.addEventListener('click', ()=> {
+    [elements.historySearch, elements.historyFrom, elements.historyTo, elements.historyMin, elements.historyMax].forEach(input => { input.value = ''; });
+    readHistoryFilters();
+  });
+  elements.historyExportBtn.addEventListener('click', exportHistoryCSV);
+  elements.historyMoreBtn.addEventListener('click', showMoreHistory);
+  // perto do fim da lista, já traz a próxima página
+  elements.historyContainer.addEventListener('scroll', ()=> {
+    const container = elements.historyContainer;
+    if (container.scrollTop + container.clientHeight >= container.scrollHeight - 200 && historyView.shown < historyView.entries.length) showMoreHistory();
+  });
+
+  const statsPeriodButtons = [
+    [elements.statsByDay, 'day'],
+    [elements.statsByWeek, 'week'],
+    [elements.statsByMonth, 'month']
+  ];
+  statsPeriodButtons.forEach(([button, period]) => {
+    button.addEventListener('click', ()=> {
+      statsPeriodButtons.forEach(([other]) => {
+        other.classList.remove('text-blue-600','border-blue-600','border-b-2');
+        other.classList.add('text-blue-500','hover:text-blue-600');
+      });
+      button.classList.add('text-blue-600','border-blue-600','border-b-2');
+      button.classList.remove('text-blue-500','hover:text-blue-600');
+      renderStats(period);
+    });
+  });
+
+  elements.syncConnectBtn.addEventListener('click', connectSync);
+  elements.syncNowBtn.addEventListener('click', ()=> syncNow().then(()=> showToast(loadSync().lastError ? loadSync().lastError.message : "Sincronizado!", !loadSync().lastError)));
+  elements.syncDisconnectBtn.addEventListener('click', disconnectSync);
+  elements.storageFlushBtn.addEventListener('click', flushStorage);
+  elements.integrityCheckBtn.addEventListener('click', verifyIntegrity);
+  elements.backupExportBtn.addEventListener('click', exportBackup);
+  elements.backupImportBtn.addEventListener('click', ()=> elements.backupFile.click());
+  elements.backupFile.addEventListener('change', ()=> {
+    if (elements.backupFile.files[0]) previewBackup(elements.backupFile.files[0]);
+  });
+  elements.backupRestoreBtn.addEventListener('click', restoreBackup);
+  elements.backupCancelBtn.addEventListener('click', cancelBackupImport);
+
   elements.resetBtn.addEventListener('click', resetLocalStorage);
 
 }
 
       // Initialize app behavior
+      prepareStorage();
+      loadProfiles();
+      recoverPendingTransfer();
       loadState();
       checkNewDay();
       renderUI();
       setupEventListeners();
-      feather.replace();
 
-      // verifica a cada minuto se mudou o dia (mantém seu comportamento)
-      setInterval(()=>{
-        const currentDate = new Date().toISOString().split('T')[0];
-        if (currentDate !== state.todayDate) {
-          state.todayDate = currentDate;
-          assignDailyMissions();
-          state.user.lastAssignedDate = state.todayDate;
-          state.user.completedMissionsToday = [];
-          saveUser();
-          renderUI();
-          showToast("🎉 Novas missões do dia foram liberadas!");
-        }
-      }, 60000);
+      // sincronização da família (só faz algo se houver servidor configurado)
+      syncNow();
+      setInterval(syncNow, SYNC_INTERVAL);
+      window.addEventListener('online', syncNow);
+
+      // verifica a cada minuto se mudou o dia, e logo que o app volta para a tela
+      // (o intervalo não roda com o celular dormindo)
+      setInterval(rollDay, 60000);
+      document.addEventListener('visibilitychange', () => { if (!document.hidden) rollDay(); });
     } // initApp
 
     boot(); // start
@@ -0,0 +1,127 @@
+/**
+ * Números da aba Estatísticas, calculados a partir do histórico do perfil (mais novo primeiro,
+ * como em state.history). Só contas: quem desenha é charts.js.
+ *
+ * Ganhos por origem (SOURCES): missões (com os bônus do dia e da sequência), transferências
+ * recebidas, mesada, juros do cofrinho e ajustes positivos do responsável. O saldo inicial e o
+ * que volta do cofrinho não contam como ganho.
+ *
+ * Períodos: 'day', 'week' (segunda a domingo) ou 'month'; a chave é 'AAAA-MM-DD', a segunda-feira
+ * da semana ou 'AAAA-MM'. As séries terminam no período de hoje e incluem os períodos vazios.
+ * O dia de cada item vem de ctx.dayOf (dia do app no fuso configurado).
+ *
+ * Usa: MigStats.earnedByPeriod(history, ctx), MigStats.incomeBySource(history),
+ * MigStats.completionByPeriod(history, ctx), MigStats.missionRanking(history),
+ * MigStats.periodKeys(period, hoje, quantos), MigStats.SOURCES
+ * com ctx = { period, count, today, dayOf }. Depende de schedule.js.
+ */
+(function() {
+  const SOURCES = {
+    missions: "Missões",
+    transfers: "Transferências",
+    allowance: "Mesada",
+    interest: "Juros",
+    other: "Ajustes"
+  };
+
+  // { source, amount } ou null se o item não é ganho
+  function income(item) {
+    switch (item.type) {
+      case 'mission':
+      case 'daily_bonus':
+      case 'streak_bonus': return { source: 'missions', amount: item.reward || 0 };
+      case 'transaction': return item.direction === 'out' ? null : { source: 'transfers', amount: item.amount };
+      case 'allowance': return { source: 'allowance', amount: item.amount };
+      case 'goal_interest': return { source: 'interest', amount: item.amount };
+      case 'adjustment': return item.amount > 0 ? { source: 'other', amount: item.amount } : null;
+      default: return null;
+    }
+  }
+
+  function emptySources() {
+    return Object.keys(SOURCES).reduce((acc, key) => Object.assign(acc, { [key]: 0 }), {});
+  }
+
+  function periodOf(period, day) {
+    if (period === 'week') return MigSchedule.weekStart(day);
+    if (period === 'month') return day.slice(0, 7);
+    return day;
+  }
+
+  // as count chaves de período terminando no período de today, da mais antiga para a mais nova
+  function periodKeys(period, today, count) {
+    const keys = [];
+    for (let i = count - 1; i >= 0; i--) {
+      if (period === 'week') keys.push(MigSchedule.addDays(MigSchedule.weekStart(today), -7 * i));
+      else if (period === 'month') {
+        const [y, m] = today.split('-').map(Number);
+        const index = y * 12 + (m - 1) - i;
+        keys.push(`${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`);
+      } else keys.push(MigSchedule.addDays(today, -i));
+    }
+    return keys;
+  }
+
+  // [{ key, total, sources: { missions, transfers, ... } }]
+  function earnedByPeriod(history, ctx) {
+    const buckets = new Map(periodKeys(ctx.period, ctx.today, ctx.count).map(key => [key, { key, total: 0, sources: emptySources() }]));
+    history.forEach(item => {
+      const gain = income(item);
+      const bucket = gain && buckets.get(periodOf(ctx.period, ctx.dayOf(item)));
+      if (!bucket) return;
+      bucket.total += gain.amount;
+      bucket.sources[gain.source] += gain.amount;
+    });
+    return Array.from(buckets.values());
+  }
+
+  function incomeBySource(history) {
+    const totals = emptySources();
+    history.forEach(item => {
+      const gain = income(item);
+      if (gain) totals[gain.source] += gain.amount;
+    });
+    return totals;
+  }
+
+  // taxa de conclusão pelos dias fechados (entradas day_closed): [{ key, completed, offered, rate }]
+  // rate é null quando não houve missão no período
+  function completionByPeriod(history, ctx) {
+    const buckets = new Map(periodKeys(ctx.period, ctx.today, ctx.count).map(key => [key, { key, completed: 0, offered: 0, rate: null }]));
+    history.forEach(item => {
+      if (item.type !== 'day_closed') return;
+      const bucket = buckets.get(periodOf(ctx.period, item.day));
+      if (!bucket) return;
+      bucket.completed += item.completed;
+      bucket.offered += item.missions;
+    });
+    buckets.forEach(bucket => { bucket.rate = bucket.offered ? bucket.completed / bucket.offered : null; });
+    return Array.from(buckets.values());
+  }
+
+  // por missão: quantas vezes foi feita e quantas ficou para trás num dia fechado.
+  // [{ key, title, completed, missed, rate }], da mais feita para a menos feita
+  function missionRanking(history) {
+    const byMission = new Map();
+    const entry = (id, title) => {
+      const key = id != null ? `id:${id}` : `title:${title}`;
+      if (!byMission.has(key)) byMission.set(key, { key, title, completed: 0, missed: 0, rate: 0 });
+      return byMission.get(key);
+    };
+    // do mais antigo para o mais novo: o título que fica é o mais recente
+    history.slice().reverse().forEach(item => {
+      if (item.type === 'mission') {
+        const mission = entry(item.missionId, item.title);
+        mission.title = item.title;
+        mission.completed++;
+      } else if (item.type === 'day_closed') {
+        item.missed.forEach(m => { entry(m.missionId, m.title).missed++; });
+      }
+    });
+    const list = Array.from(byMission.values());
+    list.forEach(m => { m.rate = m.completed / (m.completed + m.missed); });
+    return list.sort((a, b) => b.completed - a.completed || b.rate - a.rate || a.title.localeCompare(b.title));
+  }
+
+  window.MigStats = { earnedByPeriod, incomeBySource, completionByPeriod, missionRanking, periodKeys, SOURCES };
+})();
@@ -0,0 +1,86 @@
+/**
+ * Service worker do MigStar: guarda o app inteiro no cache para funcionar sem internet.
+ *
+ * Os arquivos de APP_SHELL são baixados na instalação. Depois, cada pedido é respondido
+ * pelo cache e atualizado pela rede em segundo plano (a versão nova vale na próxima
+ * abertura). Pedidos para outros endereços (ex.: servidor de sincronização) passam direto.
+ *
+ * Ao adicionar um arquivo ao app, inclua-o em APP_SHELL e suba CACHE_VERSION.
+ */
+const CACHE_VERSION = 'migstar-v5';
+const APP_SHELL = [
+  './',
+  'index.html',
+  'danstar.html',
+  'manifest.webmanifest',
+  'script.js',
+  'migcrypto.js',
+  'qrprotocol.js',
+  'qrscanner.js',
+  'scan-worker.js',
+  'schedule.js',
+  'achievements.js',
+  'stats.js',
+  'charts.js',
+  'ledger.js',
+  'schema.js',
+  'backup.js',
+  'efeito.mp3',
+  'vendor/tailwind.css',
+  'vendor/qrcode.min.js',
+  'vendor/jsQR.js',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION && key !== SHARE_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// "compartilhar" uma foto com o app (share_target no manifest): guarda a imagem para o app
+// ler o QR dela ao abrir com ?shared-image
+const SHARE_CACHE = 'migstar-share';
+
+async function receiveSharedImage(request) {
+  const form = await request.formData();
+  const image = form.get('image');
+  if (image) await (await caches.open(SHARE_CACHE)).put('shared-image', new Response(image));
+  return Response.redirect('./index.html?shared-image', 303);
+}
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method === 'POST' && new URL(request.url).searchParams.has('share-target')) {
+    event.respondWith(receiveSharedImage(request));
+    return;
+  }
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+  event.respondWith(caches.open(CACHE_VERSION).then(async cache => {
+    // ignoreSearch: index.html?algo continua sendo o app
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const network = fetch(request)
+      .then(response => {
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+      })
+      .catch(() => null);
+    if (cached) {
+      event.waitUntil(network);
+      return cached;
+    }
+    const response = await network;
+    if (response) return response;
+    // sem rede e sem cache: navegação cai no app
+    if (request.mode === 'navigate') return cache.match('index.html');
+    return Response.error();
+  }));
+});
@@ -0,0 +1,174 @@
+/**
+ * Servidor de sincronização da família (Node, sem dependências).
+ *
+ *   MIGSTAR_SYNC_TOKEN=<senha da família> node sync-server.js
+ *
+ * Variáveis de ambiente:
+ *   PORT                porta HTTP (padrão 8787)
+ *   MIGSTAR_SYNC_TOKEN  senha da família, obrigatória: sem ela o servidor não sobe
+ *   MIGSTAR_SYNC_DATA   arquivo onde as entradas ficam salvas (padrão ./migstar-sync-data.json)
+ *
+ * O servidor só guarda um conjunto de entradas de ledger que cresce e os perfis. Cada entrada
+ * nova ganha um número de sequência do servidor; o aparelho manda o último número que viu
+ * (cursor) e recebe só o que chegou depois.
+ *
+ * Entradas e perfis sem assinatura (sig) são recusados. O servidor não tem a chave da família
+ * para conferir a assinatura: quem confere é cada aparelho, ao receber (MigLedger.merge).
+ * Por isso, com o mesmo id e conteúdo diferente, o servidor guarda as duas versões (a primeira
+ * pode ser falsa, e vários ids são fixos, como 'opening'): cada aparelho fica com a primeira
+ * que tiver a assinatura da família. Quem mandou a outra versão recebe de volta as que o
+ * servidor já tinha, para saber do conflito.
+ *
+ *   POST /sync  { deviceId, cursor, entries: [{ profileId, entry }], profiles: [{ id, name, avatar, sig }] }
+ *            -> { cursor, entries: [{ profileId, entry }], profiles }
+ *   GET /health -> { ok, entries, cursor }
+ */
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.MIGSTAR_SYNC_TOKEN || '';
+if (!TOKEN) {
+  console.error('Defina a senha da família em MIGSTAR_SYNC_TOKEN (sem ela qualquer aparelho da rede poderia mandar estrelas).');
+  process.exit(1);
+}
+const DATA_FILE = process.env.MIGSTAR_SYNC_DATA || path.join(process.cwd(), 'migstar-sync-data.json');
+const MAX_BODY = 5 * 1024 * 1024;
+
+function loadData() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`Não foi possível ler ${DATA_FILE}:`, e.message);
+    return { cursor: 0, entries: [], profiles: {} };
+  }
+}
+
+const data = loadData();
+// versões guardadas de cada perfil + id de entrada
+const index = new Map();
+data.entries.forEach(item => {
+  const key = `${item.profileId}/${item.entry.id}`;
+  index.set(key, (index.get(key) || []).concat(item));
+});
+
+// grava num arquivo temporário e renomeia, para não deixar o arquivo pela metade
+function saveData() {
+  const tmp = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, DATA_FILE);
+}
+
+function canonical(value) {
+  return JSON.stringify(value, Object.keys(value).sort());
+}
+
+function isValidEntry(item) {
+  if (!item || typeof item !== 'object') return false;
+  const entry = item.entry;
+  return typeof item.profileId === 'string' && entry && typeof entry === 'object' &&
+    typeof entry.id === 'string' && typeof entry.type === 'string' &&
+    typeof entry.date === 'string' && Number.isInteger(entry.delta) && typeof entry.sig === 'string';
+}
+
+function isValidProfile(profile) {
+  return profile && typeof profile.id === 'string' && typeof profile.name === 'string' && typeof profile.sig === 'string';
+}
+
+function handleSync(body) {
+  const cursor = Number(body.cursor) || 0;
+  const incoming = Array.isArray(body.entries) ? body.entries : [];
+  const conflicts = [];
+  let changed = false;
+
+  incoming.filter(isValidEntry).forEach(({ profileId, entry }) => {
+    const { seq, prev, hash, ...content } = entry;
+    const key = `${profileId}/${content.id}`;
+    const versions = index.get(key) || [];
+    if (versions.some(item => canonical(item.entry) === canonical(content))) return;
+    conflicts.push(...versions);
+    const item = { seq: ++data.cursor, profileId, entry: content };
+    data.entries.push(item);
+    index.set(key, versions.concat(item));
+    changed = true;
+  });
+
+  // perfis também por versão (id + assinatura): o aparelho adota a que conferir
+  (Array.isArray(body.profiles) ? body.profiles : []).filter(isValidProfile).forEach(profile => {
+    const key = `${profile.id}/${profile.sig}`;
+    if (!data.profiles[key]) {
+      data.profiles[key] = { id: profile.id, name: profile.name, avatar: typeof profile.avatar === 'string' ? profile.avatar : '', sig: profile.sig };
+      changed = true;
+    }
+  });
+
+  if (changed) saveData();
+
+  const fresh = data.entries.filter(item => item.seq > cursor);
+  const outgoing = fresh.concat(conflicts.filter(item => item.seq <= cursor));
+  return {
+    cursor: data.cursor,
+    entries: outgoing.map(({ profileId, entry }) => ({ profileId, entry })),
+    profiles: Object.values(data.profiles)
+  };
+}
+
+function send(res, status, payload) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+}
+
+// comparação em tempo constante
+function authorized(req) {
+  const given = Buffer.from(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${TOKEN}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (req.method === 'GET' && req.url === '/health') {
+    return send(res, 200, { ok: true, entries: data.entries.length, cursor: data.cursor });
+  }
+  if (req.method !== 'POST' || req.url !== '/sync') return send(res, 404, { error: 'not_found' });
+  if (!authorized(req)) return send(res, 401, { error: 'unauthorized' });
+
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      send(res, 413, { error: 'too_large' });
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (res.writableEnded) return;
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    } catch (e) {
+      return send(res, 400, { error: 'invalid_json' });
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return send(res, 400, { error: 'invalid_json' });
+    try {
+      send(res, 200, handleSync(body));
+    } catch (e) {
+      console.error('Erro ao sincronizar:', e);
+      send(res, 500, { error: 'server_error' });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`MigStar sync em http://0.0.0.0:${PORT} (dados em ${DATA_FILE})`);
+});
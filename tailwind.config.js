@@ -0,0 +1,7 @@
+// Tailwind CSS usado para gerar vendor/tailwind.css (o comando está no cabeçalho de lá).
+// Só entram as classes que aparecem nas páginas e nos scripts do app.
+module.exports = {
+  content: ['index.html', 'danstar.html', '*.js'],
+  theme: { extend: {} },
+  plugins: [],
+};
@@ -0,0 +1,23 @@
+/**
+ * Carrega os módulos do app (IIFE que se penduram em window) no Node, sem navegador. Cada
+ * módulo enxerga os carregados antes dele pelo nome, como no navegador (stats.js usa
+ * MigSchedule, por exemplo), e tudo roda no mesmo realm dos testes.
+ *
+ *   node --test test/
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadModules(...files) {
+  const window = {};
+  files.forEach(file => {
+    const names = Object.keys(window);
+    const code = `${fs.readFileSync(path.join(ROOT, file), 'utf8')}\n//# sourceURL=${file}`;
+    new Function('window', ...names, code)(window, ...names.map(name => window[name]));
+  });
+  return window;
+}
+
+module.exports = { ROOT, loadModules };
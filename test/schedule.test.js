@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { loadModules } = require('./helpers');
+
+const { MigSchedule } = loadModules('schedule.js');
+
+// 2026-10-19 é uma segunda-feira
+const MONDAY = '2026-10-19';
+const pool = [
+  { id: 1, title: "Arrumar a cama" },
+  { id: 2, title: "Escovar os dentes", mandatory: true },
+  { id: 3, title: "Ler um livro" },
+  { id: 4, title: "Regar as plantas", schedule: { type: 'weekdays', days: [1, 3] } },
+  { id: 5, title: "Lavar o carro", schedule: { type: 'weekly' } },
+  { id: 6, title: "Consulta no dentista", schedule: { type: 'once', date: '2026-10-21' } },
+  { id: 7, title: "Lição de casa" },
+  { id: 8, title: "Guardar os brinquedos", enabled: false }
+];
+const ids = list => list.map(m => m.id);
+
+test('createRng: mesma semente, mesma sequência', () => {
+  const a = MigSchedule.createRng('2026-10-19:bia');
+  const b = MigSchedule.createRng('2026-10-19:bia');
+  const c = MigSchedule.createRng('2026-10-19:caio');
+  const first = [a(), a(), a()];
+  assert.deepStrictEqual([b(), b(), b()], first);
+  assert.notDeepStrictEqual([c(), c(), c()], first);
+  first.forEach(n => assert.ok(n >= 0 && n < 1));
+});
+
+test('createRng aceita semente numérica', () => {
+  assert.strictEqual(MigSchedule.createRng(42)(), MigSchedule.createRng(42)());
+});
+
+test('pickDailyMissions: mesma semente dá a mesma seleção, em qualquer ordem do pool', () => {
+  const options = { date: MONDAY, count: 3, seed: `${MONDAY}:bia` };
+  const first = ids(MigSchedule.pickDailyMissions(pool, options));
+  assert.deepStrictEqual(ids(MigSchedule.pickDailyMissions(pool.slice().reverse(), options)), first);
+  assert.strictEqual(first.length, 3);
+});
+
+test('pickDailyMissions: a obrigatória sempre entra, mesmo passando da quantidade', () => {
+  for (let i = 0; i < 20; i++) {
+    const picked = ids(MigSchedule.pickDailyMissions(pool, { date: MONDAY, count: 2, seed: `s${i}` }));
+    assert.strictEqual(picked[0], 2);
+    assert.strictEqual(picked.length, 2);
+  }
+  assert.deepStrictEqual(ids(MigSchedule.pickDailyMissions(pool, { date: MONDAY, count: 0 })), [2]);
+});
+
+test('pickDailyMissions ignora desativadas e excluídas', () => {
+  const picked = ids(MigSchedule.pickDailyMissions(pool, { date: MONDAY, count: 10, exclude: [3] }));
+  assert.ok(!picked.includes(8));
+  assert.ok(!picked.includes(3));
+});
+
+test('isEligible: dias da semana', () => {
+  const mission = pool[3];
+  assert.ok(MigSchedule.isEligible(mission, MONDAY));
+  assert.ok(!MigSchedule.isEligible(mission, '2026-10-20'));
+  assert.ok(MigSchedule.isEligible(mission, '2026-10-21'));
+  assert.ok(!MigSchedule.isEligible({ id: 9, schedule: { type: 'weekdays' } }, MONDAY));
+});
+
+test('isEligible: semanal some depois de feita na semana', () => {
+  const mission = pool[4];
+  assert.ok(MigSchedule.isEligible(mission, MONDAY));
+  assert.ok(MigSchedule.isEligible(mission, MONDAY, { completedThisWeek: [1] }));
+  assert.ok(!MigSchedule.isEligible(mission, MONDAY, { completedThisWeek: [5] }));
+  const picked = ids(MigSchedule.pickDailyMissions(pool, { date: MONDAY, count: 10, completedThisWeek: [5] }));
+  assert.ok(!picked.includes(5));
+});
+
+test('isEligible: uma vez só na data marcada', () => {
+  const mission = pool[5];
+  assert.ok(!MigSchedule.isEligible(mission, MONDAY));
+  assert.ok(MigSchedule.isEligible(mission, '2026-10-21'));
+  assert.ok(!MigSchedule.isEligible(mission, '2026-10-28'));
+});
+
+test('isEligible: sem agenda é todo dia', () => {
+  assert.ok(MigSchedule.isEligible(pool[0], MONDAY));
+  assert.ok(MigSchedule.isEligible(pool[0], '2026-10-25'));
+});
+
+test('weekStart e addDays atravessam mês e ano', () => {
+  assert.strictEqual(MigSchedule.weekStart('2026-10-25'), MONDAY);
+  assert.strictEqual(MigSchedule.weekStart(MONDAY), MONDAY);
+  assert.strictEqual(MigSchedule.weekStart('2027-01-01'), '2026-12-28');
+  assert.strictEqual(MigSchedule.addDays('2026-12-31', 1), '2027-01-01');
+  assert.strictEqual(MigSchedule.addDays('2024-03-01', -1), '2024-02-29');
+});
+
+test('dayKey respeita o fuso e a hora de virada', () => {
+  const instant = '2026-10-19T05:30:00Z';
+  assert.strictEqual(MigSchedule.dayKey(instant, { timeZone: 'UTC' }), MONDAY);
+  assert.strictEqual(MigSchedule.dayKey(instant, { timeZone: 'America/Sao_Paulo' }), '2026-10-19');
+  assert.strictEqual(MigSchedule.dayKey(instant, { timeZone: 'America/Sao_Paulo', resetHour: 4 }), '2026-10-18');
+});
+
+test('isCreditDue: dia 31 num mês de 30 dias cai no dia 30', () => {
+  const credit = { period: 'monthly', monthDay: 31 };
+  assert.ok(MigSchedule.isCreditDue(credit, '2026-11-30'));
+  assert.ok(!MigSchedule.isCreditDue(credit, '2026-11-29'));
+  assert.ok(MigSchedule.isCreditDue(credit, '2026-12-31'));
+  assert.ok(MigSchedule.isCreditDue({ period: 'weekly', weekday: 1 }, MONDAY));
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('assert');
+const { loadModules } = require('./helpers');
+
+const { MigStats } = loadModules('schedule.js', 'stats.js');
+
+// o dia do item é a data do texto ISO (o app usa o dia no fuso configurado)
+const dayOf = item => item.date.slice(0, 10);
+const at = day => `${day}T15:00:00.000Z`;
+
+// mais novo primeiro, como state.history
+const history = [
+  { type: 'adjustment', amount: -10, date: at('2026-11-02') },
+  { type: 'mission', reward: 5, missionId: 1, title: "Arrumar a cama", date: at('2026-11-02') },
+  { type: 'day_closed', day: '2026-11-01', completed: 1, missions: 3, missed: [{ missionId: 2, title: "Ler" }, { missionId: 3, title: "Regar" }], date: at('2026-11-02') },
+  { type: 'transaction', direction: 'out', amount: 7, date: at('2026-11-01') },
+  { type: 'transaction', direction: 'in', amount: 4, date: at('2026-11-01') },
+  { type: 'goal_interest', amount: 2, date: at('2026-10-31') },
+  { type: 'daily_bonus', reward: 3, date: at('2026-10-31') },
+  { type: 'mission', reward: 5, missionId: 1, title: "Fazer a cama", date: at('2026-10-31') },
+  { type: 'purchase', price: 20, date: at('2026-10-30') },
+  { type: 'day_closed', day: '2026-10-30', completed: 2, missions: 2, missed: [], date: at('2026-10-31') },
+  { type: 'allowance', amount: 10, date: at('2026-10-26') },
+  { type: 'adjustment', amount: 6, date: at('2026-10-26') },
+  { type: 'opening', delta: 50, date: at('2026-10-01') }
+];
+
+test('periodKeys: dias, semanas (segunda) e meses, do mais antigo ao de hoje', () => {
+  assert.deepStrictEqual(MigStats.periodKeys('day', '2026-11-01', 3), ['2026-10-30', '2026-10-31', '2026-11-01']);
+  // 2026-11-01 é domingo: ainda é a semana de 26/10
+  assert.deepStrictEqual(MigStats.periodKeys('week', '2026-11-01', 2), ['2026-10-19', '2026-10-26']);
+  assert.deepStrictEqual(MigStats.periodKeys('week', '2026-11-02', 1), ['2026-11-02']);
+  assert.deepStrictEqual(MigStats.periodKeys('month', '2027-02-15', 4), ['2026-11', '2026-12', '2027-01', '2027-02']);
+  assert.deepStrictEqual(MigStats.periodKeys('day', '2027-01-01', 2), ['2026-12-31', '2027-01-01']);
+});
+
+test('earnedByPeriod por semana: vira na segunda-feira', () => {
+  const weeks = MigStats.earnedByPeriod(history, { period: 'week', count: 3, today: '2026-11-02', dayOf });
+  assert.deepStrictEqual(weeks.map(w => w.key), ['2026-10-19', '2026-10-26', '2026-11-02']);
+  assert.strictEqual(weeks[0].total, 0);
+  // mesada 10 + ajuste 6 + missão 5 + bônus 3 + juros 2 + recebido 4 (o enviado não conta)
+  assert.strictEqual(weeks[1].total, 30);
+  assert.deepStrictEqual(weeks[1].sources, { missions: 8, transfers: 4, allowance: 10, interest: 2, other: 6 });
+  // ajuste negativo não é ganho
+  assert.strictEqual(weeks[2].total, 5);
+});
+
+test('earnedByPeriod por mês: outubro e novembro separados, mês vazio com zero', () => {
+  const months = MigStats.earnedByPeriod(history, { period: 'month', count: 3, today: '2026-11-02', dayOf });
+  assert.deepStrictEqual(months.map(m => [m.key, m.total]), [['2026-09', 0], ['2026-10', 26], ['2026-11', 9]]);
+});
+
+test('earnedByPeriod por dia: dias sem nada aparecem vazios, fora da janela é ignorado', () => {
+  const days = MigStats.earnedByPeriod(history, { period: 'day', count: 4, today: '2026-11-02', dayOf });
+  assert.deepStrictEqual(days.map(d => [d.key, d.total]), [['2026-10-30', 0], ['2026-10-31', 10], ['2026-11-01', 4], ['2026-11-02', 5]]);
+});
+
+test('incomeBySource ignora gastos, envios, saldo inicial e ajustes negativos', () => {
+  assert.deepStrictEqual(MigStats.incomeBySource(history), { missions: 13, transfers: 4, allowance: 10, interest: 2, other: 6 });
+  assert.deepStrictEqual(MigStats.incomeBySource([]), { missions: 0, transfers: 0, allowance: 0, interest: 0, other: 0 });
+});
+
+test('completionByPeriod usa o dia fechado, não a data da entrada', () => {
+  const days = MigStats.completionByPeriod(history, { period: 'day', count: 3, today: '2026-11-01', dayOf });
+  assert.deepStrictEqual(days.map(d => [d.key, d.completed, d.offered, d.rate]), [
+    ['2026-10-30', 2, 2, 1],
+    ['2026-10-31', 0, 0, null],
+    ['2026-11-01', 1, 3, 1 / 3]
+  ]);
+  const weeks = MigStats.completionByPeriod(history, { period: 'week', count: 2, today: '2026-11-02', dayOf });
+  assert.deepStrictEqual(weeks.map(w => [w.key, w.completed, w.offered]), [['2026-10-26', 3, 5], ['2026-11-02', 0, 0]]);
+  assert.strictEqual(weeks[1].rate, null);
+});
+
+test('missionRanking: junta pelo id, fica com o título mais recente e conta as perdidas', () => {
+  const ranking = MigStats.missionRanking(history);
+  assert.deepStrictEqual(ranking.map(m => [m.title, m.completed, m.missed, m.rate]), [
+    ["Arrumar a cama", 2, 0, 1],
+    ["Ler", 0, 1, 0],
+    ["Regar", 0, 1, 0]
+  ]);
+  assert.deepStrictEqual(MigStats.missionRanking([]), []);
+});
+
+test('missionRanking sem id agrupa pelo título', () => {
+  const ranking = MigStats.missionRanking([
+    { type: 'mission', title: "Missão do QR", date: at('2026-11-02') },
+    { type: 'mission', title: "Missão do QR", date: at('2026-11-01') },
+    { type: 'mission', title: "Outra", date: at('2026-11-01') }
+  ]);
+  assert.deepStrictEqual(ranking.map(m => [m.title, m.completed]), [["Missão do QR", 2], ["Outra", 1]]);
+});
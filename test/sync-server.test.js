@@ -0,0 +1,221 @@
+/**
+ * Sincronização de ponta a ponta: sobe o sync-server.js de verdade (porta livre, arquivo de
+ * dados temporário) e faz dois aparelhos conversarem com ele pelo mesmo protocolo do app
+ * (fila de envio + cursor + MigLedger.merge com a chave da família).
+ */
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { ROOT, loadModules } = require('./helpers');
+
+const { MigLedger } = loadModules('ledger.js');
+const TOKEN = 'senha-da-familia';
+const KEY = 'ab'.repeat(32);
+const OTHER_KEY = 'cd'.repeat(32);
+
+let dataDir;
+let port;
+let server = null;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function startServer(env = { MIGSTAR_SYNC_TOKEN: TOKEN }) {
+  const child = spawn(process.execPath, [path.join(ROOT, 'sync-server.js')], {
+    env: Object.assign({ PORT: String(port), MIGSTAR_SYNC_DATA: path.join(dataDir, 'data.json') }, env),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  return new Promise((resolve, reject) => {
+    child.stdout.on('data', chunk => { if (String(chunk).includes('MigStar sync em')) resolve(child); });
+    child.once('exit', code => reject(Object.assign(new Error(`servidor saiu com ${code}`), { code })));
+  });
+}
+
+function stopServer() {
+  if (!server) return Promise.resolve();
+  const child = server;
+  server = null;
+  return new Promise(resolve => {
+    child.once('exit', resolve);
+    child.kill();
+  });
+}
+
+async function request(body, token = TOKEN) {
+  const response = await fetch(`http://127.0.0.1:${port}/sync`, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/json' }, token ? { Authorization: `Bearer ${token}` } : {}),
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// um aparelho: ledgers por perfil, fila de envio e cursor, como em migstar_sync
+function device(deviceId) {
+  return { deviceId, cursor: 0, outbox: [], ledgers: {} };
+}
+
+function post(dev, profileId, fields, key = KEY) {
+  const ledger = dev.ledgers[profileId] = dev.ledgers[profileId] || [];
+  const entry = MigLedger.append(ledger, Object.assign({ date: new Date().toISOString() }, fields), key);
+  dev.outbox.push({ profileId, entryId: entry.id });
+  return entry;
+}
+
+// mesmo caminho do syncNow: manda a fila, junta a resposta e só então esvazia a fila
+async function sync(dev) {
+  const entries = dev.outbox.map(({ profileId, entryId }) => ({
+    profileId,
+    entry: MigLedger.strip(dev.ledgers[profileId].find(e => e.id === entryId))
+  }));
+  const { status, body } = await request({ deviceId: dev.deviceId, cursor: dev.cursor, entries, profiles: [] });
+  assert.strictEqual(status, 200);
+  const totals = { added: 0, rejected: 0, conflicts: 0 };
+  const byProfile = {};
+  body.entries.forEach(item => { (byProfile[item.profileId] = byProfile[item.profileId] || []).push(item.entry); });
+  Object.keys(byProfile).forEach(profileId => {
+    const result = MigLedger.merge(dev.ledgers[profileId] || [], byProfile[profileId], KEY);
+    dev.ledgers[profileId] = result.ledger;
+    totals.added += result.added.length;
+    totals.rejected += result.rejected.length;
+    totals.conflicts += result.conflicts.length;
+  });
+  dev.outbox = [];
+  dev.cursor = body.cursor;
+  return totals;
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migstar-sync-'));
+  port = await freePort();
+  server = await startServer();
+});
+
+after(async () => {
+  await stopServer();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('sem MIGSTAR_SYNC_TOKEN o servidor não sobe', async () => {
+  await assert.rejects(startServer({ MIGSTAR_SYNC_TOKEN: '' }), { code: 1 });
+});
+
+test('recusa quem não manda a senha da família', async () => {
+  assert.strictEqual((await request({ cursor: 0 }, null)).status, 401);
+  assert.strictEqual((await request({ cursor: 0 }, 'outra')).status, 401);
+});
+
+test('corpo que não é objeto é invalid_json, entrada nula é ignorada', async () => {
+  assert.deepStrictEqual(await request('null'), { status: 400, body: { error: 'invalid_json' } });
+  assert.deepStrictEqual(await request('[1]'), { status: 400, body: { error: 'invalid_json' } });
+  assert.deepStrictEqual(await request('{'), { status: 400, body: { error: 'invalid_json' } });
+  const { status } = await request({ cursor: 0, entries: [null, 5, { profileId: 'x' }] });
+  assert.strictEqual(status, 200);
+});
+
+test('entrada sem assinatura não entra no servidor', async () => {
+  const { body } = await request({ cursor: 0, entries: [{ profileId: 'ana', entry: { id: 'sem-sig', type: 'adjustment', date: '2026-01-01', delta: 10000 } }] });
+  assert.ok(!body.entries.some(item => item.entry.id === 'sem-sig'));
+});
+
+test('perfil sem assinatura não entra no servidor', async () => {
+  const { body } = await request({ cursor: 0, profiles: [{ id: 'intruso', name: 'Intruso', avatar: '👾' }] });
+  assert.ok(!body.profiles.some(p => p.id === 'intruso'));
+});
+
+test('dois aparelhos chegam ao mesmo saldo, cada um com a corrente íntegra', async () => {
+  const a = device('a');
+  const b = device('b');
+  post(a, 'bia', { id: 'opening', type: 'opening', delta: 50 });
+  post(a, 'bia', { type: 'mission', delta: 5, reward: 5 });
+  await sync(a);
+  post(b, 'bia', { type: 'purchase', delta: -3, price: 3 });
+  const fromServer = await sync(b);
+  assert.strictEqual(fromServer.added, 2);
+  await sync(a);
+  assert.strictEqual(MigLedger.balance(a.ledgers.bia), 52);
+  assert.strictEqual(MigLedger.balance(b.ledgers.bia), 52);
+  assert.ok(MigLedger.verify(a.ledgers.bia, KEY).ok);
+  assert.ok(MigLedger.verify(b.ledgers.bia, KEY).ok);
+});
+
+test('o que já estava no ledger não é refeito: alteração local continua aparecendo', async () => {
+  const a = device('a2');
+  await sync(a);
+  a.ledgers.bia[0].delta = 500;
+  const b = device('b2');
+  post(b, 'bia', { type: 'mission', delta: 1, reward: 1 });
+  await sync(b);
+  await sync(a);
+  const problems = MigLedger.verify(a.ledgers.bia, KEY).problems;
+  assert.ok(problems.some(p => p.seq === 0));
+});
+
+test('conflito: vale a primeira versão do servidor e o aparelho mantém a sua', async () => {
+  const a = device('a3');
+  const b = device('b3');
+  post(a, 'caio', { id: 'opening', type: 'opening', delta: 10 });
+  post(b, 'caio', { id: 'opening', type: 'opening', delta: 20 });
+  assert.strictEqual((await sync(a)).conflicts, 0);
+  const totals = await sync(b);
+  assert.strictEqual(totals.conflicts, 1);
+  assert.strictEqual(MigLedger.balance(b.ledgers.caio), 20);
+  const c = device('c3');
+  await sync(c);
+  assert.strictEqual(MigLedger.balance(c.ledgers.caio), 10);
+});
+
+test('entrada assinada com outra chave é recusada por quem recebe', async () => {
+  const intruder = device('intruso');
+  post(intruder, 'dani', { type: 'adjustment', delta: 10000, amount: 10000 }, OTHER_KEY);
+  await sync(intruder);
+  const a = device('a4');
+  const totals = await sync(a);
+  assert.ok(totals.rejected >= 1);
+  assert.strictEqual(MigLedger.balance(a.ledgers.dani || []), 0);
+});
+
+test('versão falsa mandada antes não impede a verdadeira de chegar', async () => {
+  const intruder = device('intruso2');
+  post(intruder, 'fabi', { id: 'opening', type: 'opening', delta: 9999 }, OTHER_KEY);
+  await sync(intruder);
+  const a = device('a6');
+  post(a, 'fabi', { id: 'opening', type: 'opening', delta: 15 });
+  await sync(a);
+  assert.strictEqual(MigLedger.balance(a.ledgers.fabi), 15);
+  const b = device('b6');
+  const totals = await sync(b);
+  assert.ok(totals.rejected >= 1);
+  assert.strictEqual(MigLedger.balance(b.ledgers.fabi), 15);
+});
+
+test('sem servidor a fila espera e é enviada quando ele volta', async () => {
+  const a = device('a5');
+  await sync(a);
+  await stopServer();
+  post(a, 'eva', { type: 'mission', delta: 7, reward: 7 });
+  post(a, 'eva', { type: 'mission', delta: 3, reward: 3 });
+  await assert.rejects(sync(a));
+  assert.strictEqual(a.outbox.length, 2);
+
+  server = await startServer();
+  await sync(a);
+  assert.strictEqual(a.outbox.length, 0);
+  const b = device('b5');
+  await sync(b);
+  assert.strictEqual(MigLedger.balance(b.ledgers.eva), 10);
+  // o que já estava gravado no arquivo continua lá depois de reiniciar
+  assert.strictEqual(MigLedger.balance(b.ledgers.bia), 53);
+});